@@ -0,0 +1,66 @@
+// Pinned download sources and checksums, keyed by the file name looked up on DOWNLOAD_MIRROR.
+//
+// Model hashes are the SHA-1 values published in whisper.cpp's models/README.md, plus a sha256 where the
+// model registry pins one. Upstream publishes no checksums for the whisper.cpp v1.7.1 downloads, so they
+// are installed with a warning until a DOWNLOAD_MANIFEST JSON file ({ "<file name>": { "sha256": "..." } },
+// merged over these entries) pins their sha256. The source tarball is GitHub's generated tag archive,
+// which isn't guaranteed to stay byte-identical; pin a copy served from DOWNLOAD_MIRROR.
+// FFmpeg "latest"/"release" builds change over time and can't be pinned, so they keep a minimum-size
+// sanity check instead.
+const fs = require('fs');
+const { WHISPER_MODELS } = require('./models');
+
+const WHISPER_VERSION = 'v1.7.1';
+
+const BUILT_IN_MANIFEST = {
+  'whisper-bin-x64.zip': {
+    urls: [`https://github.com/ggerganov/whisper.cpp/releases/download/${WHISPER_VERSION}/whisper-bin-x64.zip`],
+    sha256: null
+  },
+  [`whisper.cpp-${WHISPER_VERSION}.tar.gz`]: {
+    urls: [`https://github.com/ggerganov/whisper.cpp/archive/refs/tags/${WHISPER_VERSION}.tar.gz`],
+    sha256: null
+  },
+  'ffmpeg-amd64-static.tar.xz': {
+    // Primary: Stable Release | Fallback: Git Master Build
+    urls: [
+      'https://johnvansickle.com/ffmpeg/releases/ffmpeg-release-amd64-static.tar.xz',
+      'https://johnvansickle.com/ffmpeg/builds/ffmpeg-git-amd64-static.tar.xz'
+    ],
+    minBytes: 10000000
+  },
+  'ffmpeg-win64-gpl.zip': {
+    urls: ['https://github.com/BtbN/FFmpeg-Builds/releases/download/latest/ffmpeg-master-latest-win64-gpl.zip'],
+    minBytes: 10000000
+  }
+};
+
+for (const model of WHISPER_MODELS) {
+  BUILT_IN_MANIFEST[model.file] = { urls: [model.url], sha256: model.sha256, sha1: model.sha1 };
+}
+
+let overrides = null;
+
+function loadOverrides() {
+  if (overrides) return overrides;
+  overrides = {};
+  const manifestPath = process.env.DOWNLOAD_MANIFEST;
+  if (!manifestPath) return overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️  Could not read DOWNLOAD_MANIFEST ${manifestPath}: ${error.message}`);
+  }
+  return overrides;
+}
+
+/**
+ * Returns { name, urls, sha256?, sha1?, minBytes? } for a file, with DOWNLOAD_MANIFEST overrides applied.
+ */
+function getManifestEntry(name) {
+  const entry = { ...BUILT_IN_MANIFEST[name], ...loadOverrides()[name] };
+  if (!entry.urls) throw new Error(`No download manifest entry for ${name}`);
+  return { name, ...entry };
+}
+
+module.exports = { WHISPER_VERSION, getManifestEntry };
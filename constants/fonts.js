@@ -0,0 +1,47 @@
+// Fonts embedded in PDF exports, one per writing system: static Noto Regular instances committed in
+// fonts/ (licence in fonts/OFL.txt). FONTS_DIR points exports at another copy of the same files.
+const noto = (family) => ({ file: `${family}-Regular.ttf` });
+
+const SCRIPT_FONTS = {
+  latin: noto('NotoSans'), // Latin, Cyrillic and Greek
+  arabic: noto('NotoNaskhArabic'),
+  hebrew: noto('NotoSansHebrew'),
+  devanagari: noto('NotoSansDevanagari'),
+  bengali: noto('NotoSansBengali'),
+  gurmukhi: noto('NotoSansGurmukhi'),
+  gujarati: noto('NotoSansGujarati'),
+  tamil: noto('NotoSansTamil'),
+  telugu: noto('NotoSansTelugu'),
+  kannada: noto('NotoSansKannada'),
+  malayalam: noto('NotoSansMalayalam'),
+  sinhala: noto('NotoSansSinhala'),
+  thai: noto('NotoSansThai'),
+  lao: noto('NotoSansLao'),
+  khmer: noto('NotoSansKhmer'),
+  myanmar: noto('NotoSansMyanmar'),
+  tibetan: noto('NotoSerifTibetan'),
+  georgian: noto('NotoSansGeorgian'),
+  armenian: noto('NotoSansArmenian'),
+  ethiopic: noto('NotoSansEthiopic'),
+  'cjk-sc': noto('NotoSansSC'),
+  'cjk-jp': noto('NotoSansJP'),
+  'cjk-kr': noto('NotoSansKR')
+};
+
+// Language code -> font key for languages not written in Latin/Cyrillic/Greek
+const LANGUAGE_FONTS = {
+  ar: 'arabic', fa: 'arabic', ur: 'arabic', ps: 'arabic', sd: 'arabic',
+  he: 'hebrew', yi: 'hebrew',
+  hi: 'devanagari', mr: 'devanagari', ne: 'devanagari', sa: 'devanagari',
+  bn: 'bengali', as: 'bengali',
+  pa: 'gurmukhi', gu: 'gujarati', ta: 'tamil', te: 'telugu', kn: 'kannada', ml: 'malayalam', si: 'sinhala',
+  th: 'thai', lo: 'lao', km: 'khmer', my: 'myanmar', bo: 'tibetan',
+  ka: 'georgian', hy: 'armenian', am: 'ethiopic',
+  zh: 'cjk-sc', ja: 'cjk-jp', ko: 'cjk-kr'
+};
+
+function getFontKeyForLanguage(code) {
+  return LANGUAGE_FONTS[code] || 'latin';
+}
+
+module.exports = { SCRIPT_FONTS, getFontKeyForLanguage };
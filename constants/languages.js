@@ -1,104 +1,143 @@
-// Languages constant adapted for backend
+// Languages constant adapted for backend.
+// Every language whisper can transcribe, in whisper's own order (codes match its -l option).
+// script and direction describe how the language is written; largeV3Only marks languages
+// only the large-v3 family was trained on.
 const LANGUAGES = [
-  { code: "en", name: "English", supported: true },
-  { code: "zh", name: "Chinese", supported: true },
-  { code: "de", name: "German", supported: true },
-  { code: "es", name: "Spanish", supported: true },
-  { code: "ru", name: "Russian", supported: true },
-  { code: "ko", name: "Korean", supported: true },
-  { code: "fr", name: "French", supported: true },
-  { code: "ja", name: "Japanese", supported: true },
-  { code: "pt", name: "Portuguese", supported: true },
-  { code: "tr", name: "Turkish", supported: true },
-  { code: "pl", name: "Polish", supported: true },
-  { code: "ca", name: "Catalan", supported: true },
-  { code: "nl", name: "Dutch", supported: true },
-  { code: "ar", name: "Arabic", supported: true },
-  { code: "sv", name: "Swedish", supported: true },
-  { code: "it", name: "Italian", supported: true },
-  { code: "id", name: "Indonesian", supported: true },
-  { code: "hi", name: "Hindi", supported: true },
-  { code: "fi", name: "Finnish", supported: true },
-  { code: "vi", name: "Vietnamese", supported: true },
-  { code: "he", name: "Hebrew", supported: true },
-  { code: "uk", name: "Ukrainian", supported: true },
-  { code: "el", name: "Greek", supported: true },
-  { code: "ms", name: "Malay", supported: true },
-  { code: "cs", name: "Czech", supported: true },
-  { code: "ro", name: "Romanian", supported: true },
-  { code: "da", name: "Danish", supported: true },
-  { code: "hu", name: "Hungarian", supported: true },
-  { code: "ta", name: "Tamil", supported: true },
-  { code: "no", name: "Norwegian", supported: true },
-  { code: "th", name: "Thai", supported: true },
-  { code: "ur", name: "Urdu", supported: true },
-  { code: "hr", name: "Croatian", supported: true },
-  { code: "bg", name: "Bulgarian", supported: true },
-  { code: "lt", name: "Lithuanian", supported: true },
-  { code: "la", name: "Latin", supported: true },
-  { code: "mi", name: "Maori", supported: true },
-  { code: "ml", name: "Malayalam", supported: true },
-  { code: "cy", name: "Welsh", supported: true },
-  { code: "sk", name: "Slovak", supported: true },
-  { code: "te", name: "Telugu", supported: true },
-  { code: "fa", name: "Persian", supported: true },
-  { code: "lv", name: "Latvian", supported: true },
-  { code: "bn", name: "Bengali", supported: true },
-  { code: "sr", name: "Serbian", supported: true },
-  { code: "az", name: "Azerbaijani", supported: true },
-  { code: "sl", name: "Slovenian", supported: true },
-  { code: "kn", name: "Kannada", supported: true },
-  { code: "et", name: "Estonian", supported: true },
-  { code: "mk", name: "Macedonian", supported: true },
-  { code: "br", name: "Breton", supported: true },
-  { code: "eu", name: "Basque", supported: true },
-  { code: "is", name: "Icelandic", supported: true },
-  { code: "hy", name: "Armenian", supported: true },
-  { code: "ne", name: "Nepali", supported: true },
-  { code: "mn", name: "Mongolian", supported: true },
-  { code: "bs", name: "Bosnian", supported: true },
-  { code: "kk", name: "Kazakh", supported: true },
-  { code: "sq", name: "Albanian", supported: true },
-  { code: "sw", name: "Swahili", supported: true },
-  { code: "gl", name: "Galician", supported: true },
-  { code: "mr", name: "Marathi", supported: true },
-  { code: "pa", name: "Punjabi", supported: true },
-  { code: "si", name: "Sinhala", supported: true },
-  { code: "km", name: "Khmer", supported: true },
-  { code: "sn", name: "Shona", supported: true },
-  { code: "yo", name: "Yoruba", supported: true },
-  { code: "so", name: "Somali", supported: true },
-  { code: "af", name: "Afrikaans", supported: true },
-  { code: "oc", name: "Occitan", supported: true },
-  { code: "ka", name: "Georgian", supported: true },
-  { code: "be", name: "Belarusian", supported: true },
-  { code: "tg", name: "Tajik", supported: true },
-  { code: "sd", name: "Sindhi", supported: true },
-  { code: "gu", name: "Gujarati", supported: true },
-  { code: "am", name: "Amharic", supported: true },
-  { code: "yi", name: "Yiddish", supported: true },
-  { code: "lo", name: "Lao", supported: true },
-  { code: "uz", name: "Uzbek", supported: true },
-  { code: "fo", name: "Faroese", supported: true },
-  { code: "ht", name: "Haitian Creole", supported: true },
-  { code: "ps", name: "Pashto", supported: true },
-  { code: "tk", name: "Turkmen", supported: true },
-  { code: "nn", name: "Nynorsk", supported: true },
-  { code: "mt", name: "Maltese", supported: true },
-  { code: "sa", name: "Sanskrit", supported: true },
-  { code: "lb", name: "Luxembourgish", supported: true },
-  { code: "my", name: "Myanmar", supported: true },
-  { code: "bo", name: "Tibetan", supported: true },
-  { code: "tl", name: "Tagalog", supported: true },
-  { code: "mg", name: "Malagasy", supported: true },
-  { code: "as", name: "Assamese", supported: true },
-  { code: "tt", name: "Tatar", supported: true },
-  { code: "haw", name: "Hawaiian", supported: true },
-  { code: "ln", name: "Lingala", supported: true },
-  { code: "ha", name: "Hausa", supported: true },
-  { code: "ba", name: "Bashkir", supported: true },
-  { code: "jw", name: "Javanese", supported: true },
-  { code: "su", name: "Sundanese", supported: true },
+  { code: "en", name: "English", nativeName: "English", script: "Latin", direction: "ltr", supported: true },
+  { code: "zh", name: "Chinese", nativeName: "中文", script: "Han", direction: "ltr", supported: true },
+  { code: "de", name: "German", nativeName: "Deutsch", script: "Latin", direction: "ltr", supported: true },
+  { code: "es", name: "Spanish", nativeName: "Español", script: "Latin", direction: "ltr", supported: true },
+  { code: "ru", name: "Russian", nativeName: "Русский", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "ko", name: "Korean", nativeName: "한국어", script: "Hangul", direction: "ltr", supported: true },
+  { code: "fr", name: "French", nativeName: "Français", script: "Latin", direction: "ltr", supported: true },
+  { code: "ja", name: "Japanese", nativeName: "日本語", script: "Japanese", direction: "ltr", supported: true },
+  { code: "pt", name: "Portuguese", nativeName: "Português", script: "Latin", direction: "ltr", supported: true },
+  { code: "tr", name: "Turkish", nativeName: "Türkçe", script: "Latin", direction: "ltr", supported: true },
+  { code: "pl", name: "Polish", nativeName: "Polski", script: "Latin", direction: "ltr", supported: true },
+  { code: "ca", name: "Catalan", nativeName: "Català", script: "Latin", direction: "ltr", supported: true },
+  { code: "nl", name: "Dutch", nativeName: "Nederlands", script: "Latin", direction: "ltr", supported: true },
+  { code: "ar", name: "Arabic", nativeName: "العربية", script: "Arabic", direction: "rtl", supported: true },
+  { code: "sv", name: "Swedish", nativeName: "Svenska", script: "Latin", direction: "ltr", supported: true },
+  { code: "it", name: "Italian", nativeName: "Italiano", script: "Latin", direction: "ltr", supported: true },
+  { code: "id", name: "Indonesian", nativeName: "Bahasa Indonesia", script: "Latin", direction: "ltr", supported: true },
+  { code: "hi", name: "Hindi", nativeName: "हिन्दी", script: "Devanagari", direction: "ltr", supported: true },
+  { code: "fi", name: "Finnish", nativeName: "Suomi", script: "Latin", direction: "ltr", supported: true },
+  { code: "vi", name: "Vietnamese", nativeName: "Tiếng Việt", script: "Latin", direction: "ltr", supported: true },
+  { code: "he", name: "Hebrew", nativeName: "עברית", script: "Hebrew", direction: "rtl", supported: true },
+  { code: "uk", name: "Ukrainian", nativeName: "Українська", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "el", name: "Greek", nativeName: "Ελληνικά", script: "Greek", direction: "ltr", supported: true },
+  { code: "ms", name: "Malay", nativeName: "Bahasa Melayu", script: "Latin", direction: "ltr", supported: true },
+  { code: "cs", name: "Czech", nativeName: "Čeština", script: "Latin", direction: "ltr", supported: true },
+  { code: "ro", name: "Romanian", nativeName: "Română", script: "Latin", direction: "ltr", supported: true },
+  { code: "da", name: "Danish", nativeName: "Dansk", script: "Latin", direction: "ltr", supported: true },
+  { code: "hu", name: "Hungarian", nativeName: "Magyar", script: "Latin", direction: "ltr", supported: true },
+  { code: "ta", name: "Tamil", nativeName: "தமிழ்", script: "Tamil", direction: "ltr", supported: true },
+  { code: "no", name: "Norwegian", nativeName: "Norsk", script: "Latin", direction: "ltr", supported: true },
+  { code: "th", name: "Thai", nativeName: "ไทย", script: "Thai", direction: "ltr", supported: true },
+  { code: "ur", name: "Urdu", nativeName: "اردو", script: "Arabic", direction: "rtl", supported: true },
+  { code: "hr", name: "Croatian", nativeName: "Hrvatski", script: "Latin", direction: "ltr", supported: true },
+  { code: "bg", name: "Bulgarian", nativeName: "Български", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "lt", name: "Lithuanian", nativeName: "Lietuvių", script: "Latin", direction: "ltr", supported: true },
+  { code: "la", name: "Latin", nativeName: "Latina", script: "Latin", direction: "ltr", supported: true },
+  { code: "mi", name: "Maori", nativeName: "Māori", script: "Latin", direction: "ltr", supported: true },
+  { code: "ml", name: "Malayalam", nativeName: "മലയാളം", script: "Malayalam", direction: "ltr", supported: true },
+  { code: "cy", name: "Welsh", nativeName: "Cymraeg", script: "Latin", direction: "ltr", supported: true },
+  { code: "sk", name: "Slovak", nativeName: "Slovenčina", script: "Latin", direction: "ltr", supported: true },
+  { code: "te", name: "Telugu", nativeName: "తెలుగు", script: "Telugu", direction: "ltr", supported: true },
+  { code: "fa", name: "Persian", nativeName: "فارسی", script: "Arabic", direction: "rtl", supported: true },
+  { code: "lv", name: "Latvian", nativeName: "Latviešu", script: "Latin", direction: "ltr", supported: true },
+  { code: "bn", name: "Bengali", nativeName: "বাংলা", script: "Bengali", direction: "ltr", supported: true },
+  { code: "sr", name: "Serbian", nativeName: "Српски", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "az", name: "Azerbaijani", nativeName: "Azərbaycanca", script: "Latin", direction: "ltr", supported: true },
+  { code: "sl", name: "Slovenian", nativeName: "Slovenščina", script: "Latin", direction: "ltr", supported: true },
+  { code: "kn", name: "Kannada", nativeName: "ಕನ್ನಡ", script: "Kannada", direction: "ltr", supported: true },
+  { code: "et", name: "Estonian", nativeName: "Eesti", script: "Latin", direction: "ltr", supported: true },
+  { code: "mk", name: "Macedonian", nativeName: "Македонски", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "br", name: "Breton", nativeName: "Brezhoneg", script: "Latin", direction: "ltr", supported: true },
+  { code: "eu", name: "Basque", nativeName: "Euskara", script: "Latin", direction: "ltr", supported: true },
+  { code: "is", name: "Icelandic", nativeName: "Íslenska", script: "Latin", direction: "ltr", supported: true },
+  { code: "hy", name: "Armenian", nativeName: "Հայերեն", script: "Armenian", direction: "ltr", supported: true },
+  { code: "ne", name: "Nepali", nativeName: "नेपाली", script: "Devanagari", direction: "ltr", supported: true },
+  { code: "mn", name: "Mongolian", nativeName: "Монгол", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "bs", name: "Bosnian", nativeName: "Bosanski", script: "Latin", direction: "ltr", supported: true },
+  { code: "kk", name: "Kazakh", nativeName: "Қазақ тілі", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "sq", name: "Albanian", nativeName: "Shqip", script: "Latin", direction: "ltr", supported: true },
+  { code: "sw", name: "Swahili", nativeName: "Kiswahili", script: "Latin", direction: "ltr", supported: true },
+  { code: "gl", name: "Galician", nativeName: "Galego", script: "Latin", direction: "ltr", supported: true },
+  { code: "mr", name: "Marathi", nativeName: "मराठी", script: "Devanagari", direction: "ltr", supported: true },
+  { code: "pa", name: "Punjabi", nativeName: "ਪੰਜਾਬੀ", script: "Gurmukhi", direction: "ltr", supported: true },
+  { code: "si", name: "Sinhala", nativeName: "සිංහල", script: "Sinhala", direction: "ltr", supported: true },
+  { code: "km", name: "Khmer", nativeName: "ខ្មែរ", script: "Khmer", direction: "ltr", supported: true },
+  { code: "sn", name: "Shona", nativeName: "chiShona", script: "Latin", direction: "ltr", supported: true },
+  { code: "yo", name: "Yoruba", nativeName: "Yorùbá", script: "Latin", direction: "ltr", supported: true },
+  { code: "so", name: "Somali", nativeName: "Soomaali", script: "Latin", direction: "ltr", supported: true },
+  { code: "af", name: "Afrikaans", nativeName: "Afrikaans", script: "Latin", direction: "ltr", supported: true },
+  { code: "oc", name: "Occitan", nativeName: "Occitan", script: "Latin", direction: "ltr", supported: true },
+  { code: "ka", name: "Georgian", nativeName: "ქართული", script: "Georgian", direction: "ltr", supported: true },
+  { code: "be", name: "Belarusian", nativeName: "Беларуская", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "tg", name: "Tajik", nativeName: "Тоҷикӣ", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "sd", name: "Sindhi", nativeName: "سنڌي", script: "Arabic", direction: "rtl", supported: true },
+  { code: "gu", name: "Gujarati", nativeName: "ગુજરાતી", script: "Gujarati", direction: "ltr", supported: true },
+  { code: "am", name: "Amharic", nativeName: "አማርኛ", script: "Ethiopic", direction: "ltr", supported: true },
+  { code: "yi", name: "Yiddish", nativeName: "ייִדיש", script: "Hebrew", direction: "rtl", supported: true },
+  { code: "lo", name: "Lao", nativeName: "ລາວ", script: "Lao", direction: "ltr", supported: true },
+  { code: "uz", name: "Uzbek", nativeName: "Oʻzbekcha", script: "Latin", direction: "ltr", supported: true },
+  { code: "fo", name: "Faroese", nativeName: "Føroyskt", script: "Latin", direction: "ltr", supported: true },
+  { code: "ht", name: "Haitian Creole", nativeName: "Kreyòl ayisyen", script: "Latin", direction: "ltr", supported: true },
+  { code: "ps", name: "Pashto", nativeName: "پښتو", script: "Arabic", direction: "rtl", supported: true },
+  { code: "tk", name: "Turkmen", nativeName: "Türkmençe", script: "Latin", direction: "ltr", supported: true },
+  { code: "nn", name: "Nynorsk", nativeName: "Nynorsk", script: "Latin", direction: "ltr", supported: true },
+  { code: "mt", name: "Maltese", nativeName: "Malti", script: "Latin", direction: "ltr", supported: true },
+  { code: "sa", name: "Sanskrit", nativeName: "संस्कृतम्", script: "Devanagari", direction: "ltr", supported: true },
+  { code: "lb", name: "Luxembourgish", nativeName: "Lëtzebuergesch", script: "Latin", direction: "ltr", supported: true },
+  { code: "my", name: "Myanmar", nativeName: "မြန်မာ", script: "Myanmar", direction: "ltr", supported: true },
+  { code: "bo", name: "Tibetan", nativeName: "བོད་ཡིག", script: "Tibetan", direction: "ltr", supported: true },
+  { code: "tl", name: "Tagalog", nativeName: "Tagalog", script: "Latin", direction: "ltr", supported: true },
+  { code: "mg", name: "Malagasy", nativeName: "Malagasy", script: "Latin", direction: "ltr", supported: true },
+  { code: "as", name: "Assamese", nativeName: "অসমীয়া", script: "Bengali", direction: "ltr", supported: true },
+  { code: "tt", name: "Tatar", nativeName: "Татар", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "haw", name: "Hawaiian", nativeName: "ʻŌlelo Hawaiʻi", script: "Latin", direction: "ltr", supported: true },
+  { code: "ln", name: "Lingala", nativeName: "Lingála", script: "Latin", direction: "ltr", supported: true },
+  { code: "ha", name: "Hausa", nativeName: "Hausa", script: "Latin", direction: "ltr", supported: true },
+  { code: "ba", name: "Bashkir", nativeName: "Башҡорт", script: "Cyrillic", direction: "ltr", supported: true },
+  { code: "jw", name: "Javanese", nativeName: "Basa Jawa", script: "Latin", direction: "ltr", supported: true },
+  { code: "su", name: "Sundanese", nativeName: "Basa Sunda", script: "Latin", direction: "ltr", supported: true },
+  { code: "yue", name: "Cantonese", nativeName: "粵語", script: "Han", direction: "ltr", supported: true, largeV3Only: true },
 ];
 
-module.exports = { LANGUAGES };
\ No newline at end of file
+function getLanguage(code) {
+  return LANGUAGES.find(l => l.code === code) || null;
+}
+
+function isRightToLeft(code) {
+  const language = getLanguage(code);
+  return Boolean(language && language.direction === 'rtl');
+}
+
+/**
+ * Returns why a language can't be used with a model (see constants/models.js), or null if it can.
+ * English-only (.en) models only transcribe English; "auto" needs a multilingual model.
+ */
+function getLanguageModelError(code, model) {
+  if (model.englishOnly && code !== 'en') {
+    return `Model "${model.name}" is English-only and can't transcribe "${code}". Use language=en or a multilingual model.`;
+  }
+  const language = getLanguage(code);
+  if (language && language.largeV3Only && !model.name.startsWith('large-v3')) {
+    return `${language.name} (${code}) is only supported by the large-v3 models, not "${model.name}".`;
+  }
+  return null;
+}
+
+// Catalog entry with the model-compatibility flags shown by GET /api/languages
+function describeLanguage(language, model = null) {
+  const entry = {
+    ...language,
+    englishOnlyModels: language.code === 'en',
+    largeV3Only: Boolean(language.largeV3Only)
+  };
+  if (model) entry.compatible = !getLanguageModelError(language.code, model);
+  return entry;
+}
+
+module.exports = { LANGUAGES, getLanguage, isRightToLeft, getLanguageModelError, describeLanguage };
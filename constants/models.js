@@ -0,0 +1,46 @@
+// ggml Whisper models published with whisper.cpp.
+// sizeMB is approximate; sha1 values are the ones listed in whisper.cpp's models/README.md. A sha256 pinned
+// as extra.sha256 is checked by downloads and diagnostics; DOWNLOAD_MANIFEST can pin one for downloads too.
+const HUGGING_FACE_BASE = 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main';
+
+const model = (name, sizeMB, sha1, extra = {}) => ({
+  name,
+  file: `ggml-${name}.bin`,
+  sizeMB,
+  sha1,
+  sha256: null,
+  url: `${HUGGING_FACE_BASE}/ggml-${name}.bin`,
+  englishOnly: name.includes('.en'),
+  quantized: /-q\d/.test(name),
+  tinydiarize: false,
+  ...extra
+});
+
+const WHISPER_MODELS = [
+  model('tiny', 75, 'bd577a113a864445d4c299885e0cb97d4ba92b5f'),
+  model('tiny.en', 75, 'c78c86eb1a8faa21b369bcd33207cc90d64ae9df'),
+  model('tiny-q5_1', 31, '2827a03e495b1ed3048ef28a6a4620537db4ee51'),
+  model('base', 142, '465707469ff3a37a2b9b8d8f89f2f99de7299dac'),
+  model('base.en', 142, '137c40403d78fd54d454da0f9bd998f78703390c'),
+  model('base-q5_1', 57, 'a3733eda680ef76256db5fc5dd9de8629e62c5e7'),
+  model('small', 466, '55356645c2b361a969dfd0ef2c5a50d530afd8d5'),
+  model('small.en', 466, 'db8a495a91d927739e50b3fc1cc4c6b8f6c2d022'),
+  // tinydiarize fine-tune that marks speaker turns (-tdrz), hosted outside ggerganov/whisper.cpp
+  model('small.en-tdrz', 465, 'b6c6e7e89af1a35c08e6de56b66ca6a02a2fdfa1', {
+    url: 'https://huggingface.co/akashmjn/tinydiarize-whisper.cpp/resolve/main/ggml-small.en-tdrz.bin',
+    tinydiarize: true
+  }),
+  model('small-q5_1', 181, '6fe57ddcfdd1c6b07cdcc73aaf620810ce5fc771'),
+  model('medium', 1500, 'fd9727b6e1217c2f614f9b698455c4ffd82463b4'),
+  model('medium.en', 1500, '8c30f0e44ce9560643ebd10bbe50cd20eafd3723'),
+  model('medium-q5_0', 514, '7718d4c1ec62ca96998f058114db418236937323'),
+  model('large-v3', 2900, 'ad82bf6a9043ceed055076d0fd39f5f186ff8062'),
+  model('large-v3-q5_0', 1100, 'e6e2ed78495d403bef4b7cff42ef4aaadcfea8de'),
+  model('large-v3-turbo', 1500, '4af2b29d7ec73d781377bfd1758ca957a807e941'),
+  model('large-v3-turbo-q5_0', 547, 'e050f7970618a659205450ad97eb95a18d69c9ee')
+];
+
+// base (~140MB) rather than small (~480MB) to avoid OOM on standard cloud instances
+const DEFAULT_MODEL = process.env.WHISPER_MODEL || 'base';
+
+module.exports = { WHISPER_MODELS, DEFAULT_MODEL };
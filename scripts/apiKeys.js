@@ -0,0 +1,59 @@
+// API key administration from the command line. Edits the key file directly, so run it while the
+// server is stopped (a running server keeps its own copy); use the /api/admin/keys routes otherwise.
+//
+//   node scripts/apiKeys.js create <name> [--rate-limit N] [--monthly-minutes N]
+//   node scripts/apiKeys.js list
+//   node scripts/apiKeys.js update <id> [--name NAME] [--rate-limit N] [--monthly-minutes N]
+//   node scripts/apiKeys.js revoke <id>
+const { parseKeyFields, publicKey, describeUsage, getApiKeyRepository } = require('../utils/apiKeys');
+
+const OPTION_FIELDS = { '--name': 'name', '--rate-limit': 'rateLimit', '--monthly-minutes': 'monthlyMinutes' };
+
+function readOptions(args) {
+  const fields = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const field = OPTION_FIELDS[args[i]];
+    if (!field || args[i + 1] === undefined) throw new Error(`Unexpected argument "${args[i]}"`);
+    fields[field] = args[i + 1];
+  }
+  return fields;
+}
+
+function printKey(key) {
+  const { rateLimit, monthlyMinutes } = publicKey(key).limits;
+  const usage = describeUsage(key);
+  console.log(`${key.id}  ${key.prefix}…  ${key.name}${key.revokedAt ? '  (revoked)' : ''}`);
+  console.log(`    ${rateLimit} requests/min, ${monthlyMinutes || 'unlimited'} minutes/month; ${usage.month}: ${usage.requests} requests, ${usage.audioMinutes} minutes`);
+}
+
+(async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const repository = getApiKeyRepository();
+
+  try {
+    await repository.init();
+    if (command === 'create' && args[0]) {
+      const { key, apiKey } = await repository.create(parseKeyFields({ name: args[0], ...readOptions(args.slice(1)) }, { requireName: true }));
+      printKey(key);
+      console.log(`\n🔑 API key (shown only once): ${apiKey}`);
+    } else if (command === 'list') {
+      const keys = await repository.list();
+      if (keys.length === 0) console.log('No API keys yet.');
+      keys.forEach(printKey);
+    } else if (command === 'update' && args[0]) {
+      const key = await repository.update(args[0], parseKeyFields(readOptions(args.slice(1))));
+      if (!key) throw new Error(`No API key with ID ${args[0]}`);
+      printKey(key);
+    } else if (command === 'revoke' && args[0]) {
+      const key = await repository.revoke(args[0]);
+      if (!key) throw new Error(`No API key with ID ${args[0]}`);
+      printKey(key);
+    } else {
+      console.log('Usage: node scripts/apiKeys.js create <name> [--rate-limit N] [--monthly-minutes N] | list | update <id> [--name NAME] [--rate-limit N] [--monthly-minutes N] | revoke <id>');
+      process.exit(command ? 1 : 0);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+})();
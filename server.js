@@ -4,393 +4,1816 @@ const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const os = require('os');
-const { exec } = require('child_process');
-const PDFDocument = require('pdfkit');
+const crypto = require('crypto');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-// Allow all origins to avoid CORS issues during dev
-app.use(cors());
-app.use(express.json());
+// CORS_ORIGINS is a comma-separated allow-list ("*" allows any origin). Unset, only localhost origins
+// are allowed, which covers a frontend dev server on any port.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+
+function isAllowedOrigin(origin) {
+  if (CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin)) return true;
+  return CORS_ORIGINS.length === 0 && /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin);
+}
+
+app.use(cors({
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After', 'Content-Disposition']
+}));
+app.use(express.json({ limit: '50mb' })); // Segment arrays for long recordings are large
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
 // Import helper functions
 const { isWhisperInstalledSync, isModelAvailableSync, getWhisperBinaryPath, getWhisperBinaryPathCandidates, getWhisperModelPath } = require('./utils/whisperInstaller');
 const { isFFmpegInstalledSync, getFFmpegPath } = require('./utils/ffmpegInstaller');
-const { LANGUAGES } = require('./constants/languages');
+const { DEFAULT_MODEL, getModel, listModels, installModel, removeModel } = require('./utils/modelRegistry');
+const { LANGUAGES, getLanguage, getLanguageModelError, describeLanguage } = require('./constants/languages');
+const {
+  JOB_TTL_MS,
+  JOB_STATUS,
+  JOB_STAGE,
+  enqueueJob,
+  getJob,
+  cancelJob,
+  isFinished,
+  setJobStage,
+  setJobProgress,
+  addJobSegment,
+  serializeJob,
+  getQueueStats
+} = require('./utils/jobQueue');
+const { createWhisperOutputParser, parseDetectedLanguage } = require('./utils/whisperOutput');
+const { segmentsToText, addWordTimings, alignSegments, stitchChunks } = require('./utils/segments');
+const { parsePreprocessOptions, buildFilterChain, trimSilences, remapSegment } = require('./utils/preprocess');
+const {
+  parseDiarizationOptions,
+  labelStereoSpeakers,
+  labelSpeakerTurns,
+  clusterSpeakers,
+  copySpeakers,
+  listSpeakers,
+  parseSpeakerNames,
+  renameSpeakers
+} = require('./utils/diarization');
+const {
+  CHUNK_WORKERS,
+  getWavDuration,
+  shouldChunk,
+  detectSilences,
+  planChunks,
+  extractChunk,
+  mapWithConcurrency
+} = require('./utils/chunking');
+const { SUBTITLE_FORMATS, buildCues } = require('./utils/subtitles');
+const { getTranscriptRepository, transcriptSegments, transcriptError } = require('./utils/transcriptStore');
+const {
+  segmentsKey,
+  currentRevision,
+  publicTranscript,
+  editSegment,
+  mergeSegments,
+  splitSegment,
+  replaceText,
+  segmentsAtRevision,
+  recordRevision,
+  listRevisions,
+  diffRevisions,
+  revertToRevision,
+  buildTranscriptChanges
+} = require('./utils/transcriptEditing');
+const {
+  parseVocabulary,
+  resolveVocabulary,
+  buildWhisperPrompt,
+  applyReplacements,
+  getVocabularyRepository
+} = require('./utils/vocabulary');
+const { parseWhisperOptions, buildWhisperArgs, describeWhisperOptions } = require('./utils/whisperOptions');
+const {
+  usageMonth,
+  parseKeyFields,
+  keyLimits,
+  remainingAudioSeconds,
+  describeUsage,
+  publicKey,
+  getApiKeyRepository,
+  createRateLimiter
+} = require('./utils/apiKeys');
+const {
+  DELIVERY_STATUS,
+  parseCallbackUrl,
+  sendWebhook,
+  getDelivery,
+  listDeliveries,
+  redeliver,
+  serializeDelivery
+} = require('./utils/webhooks');
+const { buildTranscriptDocument } = require('./utils/transcriptDocument');
+const { renderDocx } = require('./utils/docxExport');
+const { renderPdf } = require('./utils/pdfExport');
+const { runProcess, runProcessChecked, processError } = require('./utils/processRunner');
+const {
+  MAX_UPLOAD_MB,
+  MAX_UPLOAD_BYTES,
+  MEDIA_ERROR_STATUS,
+  mediaError,
+  sniffMediaType,
+  probeMedia,
+  checkMediaLimits
+} = require('./utils/mediaProbe');
+const { REMOTE_ERROR_STATUS, parseMediaUrl, downloadRemoteMedia } = require('./utils/remoteMedia');
+const { parseTrackOptions, resolveAudioSelection, buildAudioInputArgs, mergeChannelSegments } = require('./utils/mediaTracks');
+const { parseSubtitleVideoOption, renderSubtitledVideo } = require('./utils/subtitleVideo');
+const { checkReadiness, recordWhisperOutput, collectDiagnostics } = require('./utils/diagnostics');
 
 // Multer for handling file uploads
 // Use system temp dir to avoid triggering nodemon restarts when files are uploaded
 const UPLOADS_DIR = path.join(os.tmpdir(), 'voxscribe_uploads');
 const TEMP_DIR = path.join(os.tmpdir(), 'voxscribe_temp');
+// Subtitled videos rendered for finished jobs, kept as long as the job
+const OUTPUTS_DIR = path.join(os.tmpdir(), 'voxscribe_outputs');
 
 const multer = require('multer');
+
+function safeUploadName(originalname) {
+  const ext = path.extname(originalname || '').toLowerCase();
+  return `${Date.now()}-${crypto.randomUUID()}${/^\.[a-z0-9]{1,10}$/.test(ext) ? ext : ''}`;
+}
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, UPLOADS_DIR);
   },
+  // The client's file name is only kept in job metadata; on disk it's a random name with a safe extension
   filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
+    cb(null, safeUploadName(file.originalname));
   }
 });
-const upload = multer({ storage });
+const upload = multer({ storage, limits: { fileSize: MAX_UPLOAD_BYTES } });
+
+// upload.single with the size limit reported as a 413 instead of a generic error
+function receiveUpload(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File is larger than the ${MAX_UPLOAD_MB} MB upload limit`, code: 'FILE_TOO_LARGE' });
+    }
+    next(error);
+  });
+}
+
+// A transcription request can name a recording by url instead of uploading it. The recording is
+// downloaded into UPLOADS_DIR and handed on as req.file, so the route treats it like an upload.
+async function receiveRemoteMedia(req, res, next) {
+  const { url } = req.body || {};
+  if (url === undefined || url === '') return next();
+  if (req.file) {
+    await removeFiles([req.file.path]);
+    return res.status(400).json({ error: "Send either a file or a url, not both" });
+  }
+
+  // Stop downloading if the client goes away
+  const controller = new AbortController();
+  const abortIfGone = () => { if (!res.writableEnded) controller.abort(); };
+  res.on('close', abortIfGone);
+  try {
+    const remoteUrl = parseMediaUrl(url);
+    const dest = path.join(UPLOADS_DIR, safeUploadName(remoteUrl.pathname));
+    const download = await downloadRemoteMedia(remoteUrl, dest, { signal: controller.signal });
+    console.log(`Downloaded ${download.bytes} bytes from ${remoteUrl.host}`);
+    req.file = { path: dest, originalname: download.filename, size: download.bytes, mimetype: download.contentType };
+    next();
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    const status = REMOTE_ERROR_STATUS[error.code] || MEDIA_ERROR_STATUS[error.code];
+    if (status) return res.status(status).json({ error: error.message, code: error.code });
+    console.error("Remote download error:", error);
+    res.status(500).json({ error: "Could not download url" });
+  } finally {
+    res.off('close', abortIfGone);
+  }
+}
 
 // Ensure required directories exist
 async function initializeDirectories() {
   try {
     await fs.mkdir(UPLOADS_DIR, { recursive: true });
     await fs.mkdir(TEMP_DIR, { recursive: true });
-    console.log(`Storage initialized at: ${UPLOADS_DIR} and ${TEMP_DIR}`);
+    // Jobs don't survive a restart, so neither do their videos
+    await fs.rm(OUTPUTS_DIR, { recursive: true, force: true });
+    await fs.mkdir(OUTPUTS_DIR, { recursive: true });
+    console.log(`Storage initialized at: ${UPLOADS_DIR}, ${TEMP_DIR} and ${OUTPUTS_DIR}`);
   } catch (error) {
     console.error('Error initializing directories:', error);
   }
+  await getTranscriptRepository().init();
+  await getVocabularyRepository().init();
+  await getApiKeyRepository().init();
 }
 
-// Helper function for executing commands asynchronously
-function execAsync(cmd, label) {
-  return new Promise((resolve, reject) => {
-    console.log(`▶️ ${label}`);
-    console.log(cmd);
-
-    exec(cmd, { windowsHide: true }, (error, stdout, stderr) => {
-      if (stdout?.trim()) console.log(stdout);
-      if (stderr?.trim()) console.log(stderr);
+// Per-call time limits for the external tools. Whisper runs at roughly real time on slow CPUs,
+// so its limit has to cover the longest recording you expect.
+const PROCESS_TIMEOUTS = {
+  check: 15000,
+  convert: parseInt(process.env.FFMPEG_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+  detect: 5 * 60 * 1000,
+  whisper: parseInt(process.env.WHISPER_TIMEOUT_MS, 10) || 2 * 60 * 60 * 1000
+};
 
-      if (error) return reject(error);
-      resolve();
-    });
-  });
+// Helper function for running a command (no shell) that must exit cleanly.
+// Pass { signal } to kill the process when a job is cancelled
+function execAsync(command, args, label, options = {}) {
+  return runProcessChecked(command, args, { label, ...options });
 }
 
 // Windows execution-failure messages that must not count as "binary ran successfully"
 const WINDOWS_EXEC_ERROR = /Access is denied|can't run on your PC|is not a valid Win32/i;
 
 // Run a command; resolve if the process ran and produced real output (even on non-zero exit).
-// Reject if output is only a Windows execution error (e.g. "Access is denied").
-function execAsyncAcceptOutput(cmd, label, options = {}) {
-  return new Promise((resolve, reject) => {
-    console.log(`▶️ ${label}`);
-    console.log(cmd);
-    const execOptions = { windowsHide: true, ...options };
-    exec(cmd, execOptions, (error, stdout, stderr) => {
-      if (stdout?.trim()) console.log(stdout);
-      if (stderr?.trim()) console.log(stderr);
-      const out = (stdout || '') + (stderr || '');
-      const looksLikeWindowsError = WINDOWS_EXEC_ERROR.test(out);
-      const hasRealOutput = out.trim().length > 0 && !looksLikeWindowsError;
-      if (hasRealOutput) return resolve(out); // Binary executed and produced real output
-      if (error) return reject(error);
-      resolve(out);
-    });
-  });
+// Reject if output is only a Windows execution error (e.g. "Access is denied"), or on timeout.
+// options.onOutput(chunk, 'stdout' | 'stderr') receives output while the process is still running.
+async function execAsyncAcceptOutput(command, args, label, options = {}) {
+  const result = await runProcess(command, args, { label, ...options });
+  const out = result.stdout + result.stderr;
+  if (result.timedOut) throw processError(`${label} timed out after ${options.timeoutMs}ms`, 'PROCESS_TIMEOUT', result);
+  const looksLikeWindowsError = WINDOWS_EXEC_ERROR.test(out);
+  const hasRealOutput = out.trim().length > 0 && !looksLikeWindowsError;
+  if (hasRealOutput) return out; // Binary executed and produced real output
+  if (result.exitCode !== 0) {
+    throw processError(`${label} failed with exit code ${result.exitCode ?? result.signal}`, 'PROCESS_FAILED', result);
+  }
+  return out;
 }
 
-// Supported language codes
-// Provide a fallback if constants file is missing
-const SUPPORTED_LANGUAGE_CODES = new Set(
-  (LANGUAGES || []).filter(l => l && l.supported).map(l => l.code)
-);
+// Remove temp files produced by a transcription, ignoring ones that were never created
+async function removeFiles(filePaths) {
+  for (const filePath of filePaths) {
+    try { await fs.unlink(filePath); } catch (e) {}
+  }
+}
 
-// Transcription endpoint
-app.post('/api/transcribe', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+// Install FFmpeg, Whisper and the default model on first use
+async function ensureTranscriptionTools(modelName) {
+  if (!isFFmpegInstalledSync()) {
+    console.log('FFmpeg not found. Attempting to install...');
+    try {
+      // Dynamically import and run the installation function
+      const { installFFmpeg } = require('./utils/ffmpegInstaller');
+      await installFFmpeg();
+      console.log('FFmpeg installation completed');
+    } catch (installError) {
+      console.error('Error during FFmpeg installation:', installError);
+      throw new Error("FFmpeg not found and auto-install failed. Please install FFmpeg manually.\n" +
+        "Download from https://www.gyan.dev/ffmpeg/builds/ffmpeg-git-essentials.7z (Windows x64)\n" +
+        "Extract ffmpeg.exe to bin/ directory.");
     }
+  }
 
-    const { language } = req.body;
-    if (!language) {
-      return res.status(400).json({ error: "Language is required" });
-    }
-
-    // Get paths for executables (try whisper.exe then main.exe on Windows)
-    const modelPath = getWhisperModelPath(); // This should now return ggml-base.bin
-    const ffmpegPath = getFFmpegPath();
-    console.log(`Using FFmpeg path: ${ffmpegPath}`);
-
-    // Check if executables exist and install if missing
-    if (!isFFmpegInstalledSync()) {
-      console.log('FFmpeg not found. Attempting to install...');
-      try {
-        // Dynamically import and run the installation function
-        const { installFFmpeg } = require('./utils/ffmpegInstaller');
-        await installFFmpeg();
-        console.log('FFmpeg installation completed');
-      } catch (installError) {
-        console.error('Error during FFmpeg installation:', installError);
-        return res.status(500).json({
-          error: "FFmpeg not found and auto-install failed. Please install FFmpeg manually.\n" +
-            "Download from https://www.gyan.dev/ffmpeg/builds/ffmpeg-git-essentials.7z (Windows x64)\n" +
-            "Extract ffmpeg.exe to bin/ directory."
-        });
-      }
+  if (!isWhisperInstalledSync()) {
+    console.log('Whisper binary not found. Attempting to install...');
+
+    try {
+      // Dynamically import and run the installation function
+      const { installWhisper } = require('./utils/whisperInstaller');
+      await installWhisper();
+      console.log('Whisper installation completed');
+    } catch (installError) {
+      console.error('Error during Whisper installation:', installError);
+      throw new Error("Whisper binary not found and auto-install failed. Please install manually.\n" +
+        "For Linux/Mac, ensure 'make' and 'tar' are installed.");
+    }
+  }
+
+  if (!isModelAvailableSync(modelName)) {
+    // Only the default model is fetched on demand; larger models are installed by an admin
+    // through POST /api/admin/models/:name so a single request can't trigger a multi-GB download.
+    if (modelName !== DEFAULT_MODEL) {
+      throw new Error(`Whisper model "${modelName}" is not installed. Ask an administrator to install it.`);
+    }
+    console.log(`Whisper model not found. Attempting to download ${modelName}...`);
+
+    try {
+      await installModel(modelName);
+      console.log('Model downloaded successfully');
+    } catch (modelError) {
+      console.error('Error downloading model:', modelError);
+      const model = getModel(modelName);
+      throw new Error(`Whisper model not found and download failed. Please download ${model.file} manually.\n` +
+        `Download from ${model.url}\n` +
+        `Save as models/${model.file}`);
     }
+  }
+}
+
+// Runs one whisper pass over a WAV in TEMP_DIR and returns its console output and parsed -ojf JSON,
+// with each segment's tokens turned into words and a confidence (transcription is null if the JSON can't be read). Progress goes to onProgress (the job's progress
+// by default); decoded segments go to onSegment, if given. diarize ('stereo' or 'tdrz') adds whisper's
+// speaker fields to the JSON. prompt is passed as whisper's initial prompt (--prompt), and
+// whisperOptions are the request's effective decoding options (see utils/whisperOptions).
+async function runWhisperPass(job, { whisperPath, wavFileName, modelPathAbs, language, outputName, translate, diarize, prompt, whisperOptions, threads, onProgress, onSegment, tempFiles, signal = job.signal }) {
+  const jsonPath = path.join(TEMP_DIR, `${outputName}.json`);
+  tempFiles.push(jsonPath);
+
+  // Stream progress and decoded segments to job subscribers while whisper runs.
+  // stdout and stderr get separate parsers so interleaved chunks don't mix lines.
+  const reportProgress = onProgress || (percent => setJobProgress(job, percent));
+  reportProgress(0);
+  const outputHandlers = { onSegment: onSegment || null, onProgress: reportProgress };
+  const outputParsers = {
+    stdout: createWhisperOutputParser(outputHandlers),
+    stderr: createWhisperOutputParser(outputHandlers)
+  };
 
-    if (!isWhisperInstalledSync()) {
-      console.log('Whisper binary not found. Attempting to install...');
-
-      try {
-        // Dynamically import and run the installation function
-        const { installWhisper } = require('./utils/whisperInstaller');
-        await installWhisper();
-        console.log('Whisper installation completed');
-      } catch (installError) {
-        console.error('Error during Whisper installation:', installError);
-        return res.status(500).json({
-          error: "Whisper binary not found and auto-install failed. Please install manually.\n" +
-            "For Linux/Mac, ensure 'make' and 'tar' are installed."
-        });
+  let output = '';
+  try {
+    // whisper.cpp usage: main -f file.wav -m model.bin -l lang -ojf -of output_name
+    // (-ojf is the full JSON: token texts, timings and probabilities as well as the segments)
+    output = await execAsyncAcceptOutput(
+      whisperPath,
+      [
+        wavFileName, '-m', modelPathAbs, '-l', language,
+        ...(translate ? ['-tr'] : []), ...(threads ? ['-t', String(threads)] : []),
+        ...(diarize === 'stereo' ? ['--diarize'] : []), ...(diarize === 'tdrz' ? ['-tdrz'] : []),
+        ...(prompt ? ['--prompt', prompt] : []), ...buildWhisperArgs(whisperOptions),
+        '-pp', '-ojf', '-of', outputName
+      ],
+      translate ? "Running translation" : "Running transcription",
+      {
+        cwd: TEMP_DIR,
+        signal,
+        timeoutMs: PROCESS_TIMEOUTS.whisper,
+        onOutput: (chunk, stream) => outputParsers[stream].push(chunk)
       }
+    );
+    outputParsers.stdout.flush();
+    outputParsers.stderr.flush();
+    recordWhisperOutput(output);
+  } catch (transcriptionError) {
+    signal.throwIfAborted();
+    if (transcriptionError.code === 'PROCESS_TIMEOUT') throw transcriptionError;
+    console.log("Transcription process had error output (non-fatal): " + transcriptionError);
+  }
+
+  // Try to find output file
+  try {
+    await fs.access(jsonPath);
+  } catch {
+    // Attempt stdout parsing fallback would go here
+    console.warn('Whisper transcription failed (no output file)');
+    throw new Error("Whisper produced no output file. Please check server logs.");
+  }
+
+  // Read the transcription result
+  try {
+    const transcriptionData = await fs.readFile(jsonPath, 'utf8');
+    const transcription = JSON.parse(transcriptionData);
+    if (Array.isArray(transcription.transcription)) {
+      transcription.transcription = transcription.transcription.map(addWordTimings);
     }
+    return { output, transcription };
+  } catch (readError) {
+    console.warn('Could not read transcription output:', readError.message);
+    return { output, transcription: null };
+  }
+}
 
-    if (!isModelAvailableSync()) {
-      console.log('Whisper model not found. Attempting to download ggml-base.bin...');
+// Transcribes the converted recording: one whisper pass over the whole WAV, or, for long recordings,
+// one pass per chunk with CHUNK_WORKERS running at once, stitched into a single segment list.
+// Returns { output, transcription } like runWhisperPass. Segments are streamed to the job when
+// streamSegments is set; chunked runs stream a chunk's segments once it and all chunks before it are
+// done, holding back the last one until the next chunk shows where it ends.
+// With a timeMap from silence trimming, segment times are mapped back onto the original media.
+// Streamed segments already have the vocabulary's replacement rules applied.
+async function transcribeWav(job, { wavFileName, chunks, timeMap, outputName, streamSegments, replacements, ...passOptions }) {
+  const remap = segment => remapSegment(segment, timeMap);
+  const stream = segment => addJobSegment(job, applyReplacements([remap(segment)], replacements).segments[0]);
 
-      try {
-        const modelPath = require('./utils/whisperInstaller').getWhisperModelPath();
-        const modelDir = path.dirname(modelPath);
+  if (!chunks) {
+    const pass = await runWhisperPass(job, {
+      ...passOptions,
+      wavFileName,
+      outputName,
+      onSegment: streamSegments ? stream : null
+    });
+    if (timeMap && pass.transcription && Array.isArray(pass.transcription.transcription)) {
+      pass.transcription.transcription = pass.transcription.transcription.map(remap);
+    }
+    return pass;
+  }
 
-        await fs.mkdir(modelDir, { recursive: true });
+  const totalSeconds = chunks.reduce((sum, chunk) => sum + (chunk.end - chunk.start), 0);
+  const progress = chunks.map(() => 0);
+  const reportProgress = () => setJobProgress(job,
+    chunks.reduce((sum, chunk, i) => sum + progress[i] * (chunk.end - chunk.start), 0) / totalSeconds);
+  setJobProgress(job, 0);
 
-        // Download the actual model file
-        const axios = require('axios');
+  const results = new Array(chunks.length).fill(null);
+  let streamed = 0;
+  // Streams the part of the stitched list that later chunks can no longer change: segments in a chunk's
+  // overlap with the next belong to that chunk, and the last segment may still be cut at the seam
+  const streamFinishedChunks = () => {
+    let ready = 0;
+    while (ready < chunks.length && results[ready]) ready++;
+    const complete = ready === chunks.length;
+    const stitched = stitchChunks(chunks.slice(0, ready).map((chunk, i) => ({ ...chunk, segments: results[i].segments })), { complete });
+    const stable = complete ? stitched.length : stitched.length - 1;
+    stitched.slice(streamed, stable).forEach(stream);
+    streamed = Math.max(streamed, stable);
+  };
 
-        // Changed to ggml-base.bin (approx 140MB) instead of ggml-small.bin (approx 480MB)
-        // to prevent Out-Of-Memory errors on restricted hosting environments
-        const modelUrl = 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base.bin';
-        const writer = fsSync.createWriteStream(modelPath);
+  const threads = passOptions.threads || Math.max(1, Math.floor(os.cpus().length / Math.min(CHUNK_WORKERS, chunks.length)));
+  // A failed chunk cancels the others, and the job's cleanup only runs once their whisper processes have exited
+  await mapWithConcurrency(chunks, CHUNK_WORKERS, async (chunk, index, signal) => {
+    const pass = await runWhisperPass(job, {
+      ...passOptions,
+      wavFileName: chunk.fileName,
+      outputName: `${outputName}.part${index}`,
+      threads,
+      signal,
+      onProgress: percent => { progress[index] = percent; reportProgress(); }
+    });
+    if (!pass.transcription) {
+      throw mediaError(`Whisper output for chunk ${index + 1} could not be read. Please check server logs.`, 'TRANSCRIPTION_FAILED');
+    }
+    results[index] = { output: pass.output, segments: pass.transcription.transcription || [] };
+    if (streamSegments) streamFinishedChunks();
+  }, { signal: job.signal });
 
-        const response = await axios({
-          method: 'GET',
-          url: modelUrl,
-          responseType: 'stream'
-        });
+  const segments = stitchChunks(chunks.map((chunk, i) => ({ ...chunk, segments: results[i].segments }))).map(remap);
+  return {
+    output: results.map(result => result.output).join('\n'),
+    transcription: { transcription: segments }
+  };
+}
 
-        response.data.pipe(writer);
+// Stereo diarization assigns one speaker per channel, so the selected track (or, when mixing tracks,
+// the widest one) needs at least two
+function checkStereo(media, audio) {
+  const streams = audio.track === 'mix' ? media.audioStreams : [media.audioStreams[audio.track]];
+  if (Math.max(...streams.map(stream => stream.channels || 0)) < 2) {
+    throw mediaError('diarize=stereo needs a stereo recording with one speaker per channel.', 'NOT_STEREO');
+  }
+}
 
-        await new Promise((resolve, reject) => {
-          writer.on('finish', resolve);
-          writer.on('error', reject);
-        });
+// Subtitled videos need a video stream to put the subtitles on
+function checkVideo(media) {
+  if (!media.hasVideo) throw mediaError('subtitleVideo needs a video file; this one only has audio.', 'NO_VIDEO_STREAM');
+}
 
-        console.log('Model downloaded successfully');
-      } catch (modelError) {
-        console.error('Error downloading model:', modelError);
-        return res.status(500).json({
-          error: "Whisper model not found and download failed. Please download ggml-base.bin manually.\n" +
-            "Download from https://huggingface.co/ggerganov/whisper.cpp/resolve/main/ggml-base.bin\n" +
-            "Save as models/ggml-base.bin"
-        });
-      }
+// Silence trimming (preprocess.vad) and chunking for one converted WAV in TEMP_DIR. Sets on source:
+// wavFileName (the file whisper reads), timeMap and removedSeconds from trimming, and chunks (null
+// unless the recording is long enough to split into overlapping chunks, cut at silences where possible).
+async function prepareWav(job, ffmpegPath, source, { preprocess, tempFiles }) {
+  const { signal } = job;
+  let whisperWavPath = source.wavPath;
+  source.timeMap = null;
+  source.removedSeconds = 0;
+  // whisper gets only the speech, and timeMap maps its timestamps back onto the original recording
+  if (preprocess && preprocess.vad) {
+    setJobStage(job, JOB_STAGE.PREPROCESSING);
+    const trimmedPath = path.join(TEMP_DIR, `${source.name}.trimmed.wav`);
+    tempFiles.push(trimmedPath);
+    const trimmed = await trimSilences(ffmpegPath, source.wavPath, trimmedPath, await getWavDuration(source.wavPath), preprocess, { signal });
+    if (trimmed) {
+      source.timeMap = trimmed.timeMap;
+      source.removedSeconds = trimmed.removedSeconds;
+      whisperWavPath = trimmedPath;
+      console.log(`Trimmed ${trimmed.removedSeconds.toFixed(1)}s of silence`);
     }
+  }
+  source.wavFileName = path.basename(whisperWavPath);
 
-    const inputPath = req.file.path;
-    const timestamp = Date.now();
-    const baseName = `${timestamp}`;
-    
-    // Use the system temp dir for processing files
-    const outputBasePath = path.join(TEMP_DIR, baseName);
-    const wavPath = path.join(TEMP_DIR, `${baseName}.wav`);
-    const defaultJsonPath = `${outputBasePath}.json`;
+  source.chunks = null;
+  const wavDuration = await getWavDuration(whisperWavPath);
+  if (!shouldChunk(wavDuration)) return;
+  let silences = [];
+  try {
+    silences = await detectSilences(ffmpegPath, whisperWavPath, { signal });
+  } catch (silenceError) {
+    signal.throwIfAborted();
+    console.warn('Silence detection failed, splitting at fixed intervals:', silenceError.message);
+  }
+  source.chunks = planChunks(wavDuration, silences);
+  for (const [index, chunk] of source.chunks.entries()) {
+    chunk.fileName = `${source.name}.part${index}.wav`;
+    const chunkPath = path.join(TEMP_DIR, chunk.fileName);
+    tempFiles.push(chunkPath);
+    await extractChunk(ffmpegPath, whisperWavPath, chunkPath, chunk, { signal });
+  }
+  console.log(`Split ${Math.round(wavDuration)}s of audio into ${source.chunks.length} chunks`);
+}
+
+// Renders the subtitled video for subtitleVideo into OUTPUTS_DIR, deleted again once the job expires.
+// A failed render is reported in result.video instead of failing the transcription.
+async function renderJobVideo(job, ffmpegPath, { mode, inputPath, media, segments }) {
+  try {
+    const video = await renderSubtitledVideo(ffmpegPath, { mode, inputPath, media, segments, outputDir: OUTPUTS_DIR, name: job.id }, { signal: job.signal });
+    job.video = video;
+    setTimeout(() => removeFiles([video.path]), JOB_TTL_MS).unref();
+    return { mode, url: `/api/jobs/${job.id}/video`, format: video.extension, bytes: video.bytes };
+  } catch (error) {
+    job.signal.throwIfAborted();
+    console.warn(`Subtitled video for job ${job.id} failed:`, error.message);
+    return { mode, error: 'The subtitled video could not be rendered.' };
+  }
+}
+
+// Probe → convert → whisper → parse pipeline, run by the job queue for each upload.
+// Every file created here is pushed onto tempFiles so the job cleanup can remove it.
+// media is the probe result when the upload route could already probe the file, else null.
+// With channels=separate, each channel of the selected track is converted, transcribed and
+// labelled on its own, and the segments are merged in time order.
+async function transcribeAudio(job, { inputPath, media, trackOptions, language, allowedLanguages, task, granularity, preprocess, diarization, vocabulary, whisperOptions, subtitleVideo, modelName, tempFiles }) {
+  const { signal } = job;
+
+  await ensureTranscriptionTools(modelName);
+  signal.throwIfAborted();
+
+  // Get paths for executables (try whisper.exe then main.exe on Windows)
+  const modelPath = getWhisperModelPath(modelName);
+  const ffmpegPath = getFFmpegPath();
+  console.log(`Using FFmpeg path: ${ffmpegPath}`);
+
+  if (!media) {
+    setJobStage(job, JOB_STAGE.PROBING);
+    media = await probeMedia(ffmpegPath, inputPath, { signal });
+    checkMediaLimits(media);
+  }
+  const audio = resolveAudioSelection(trackOptions, media);
+  if (diarization && diarization.mode === 'stereo') checkStereo(media, audio);
+  if (subtitleVideo) checkVideo(media);
+
+  // The job ID keeps file names unique when several jobs run at once
+  const baseName = job.id;
 
-    // Convert audio to WAV if needed
+  // One WAV per channel with channels=separate, else one for the selected track (or the mix of all tracks)
+  const sources = audio.channels === 'separate'
+    ? Array.from({ length: audio.channelCount }, (_, channel) => ({ channel, name: `${baseName}.ch${channel}` }))
+    : [{ channel: null, name: baseName }];
+
+  // Convert audio to WAV, applying the requested high-pass/denoise/normalization filters.
+  // Stereo diarization keeps both channels: whisper --diarize compares them to tell the speakers apart.
+  setJobStage(job, JOB_STAGE.CONVERTING);
+  const filterChain = buildFilterChain(preprocess);
+  const channels = diarization && diarization.mode === 'stereo' ? '2' : '1';
+  for (const source of sources) {
+    // Use the system temp dir for processing files
+    source.wavPath = path.join(TEMP_DIR, `${source.name}.wav`);
+    tempFiles.push(source.wavPath);
     try {
       await execAsync(
-        `"${ffmpegPath}" -i "${inputPath}" -ar 16000 -ac 1 -b:a 128k "${wavPath}"`,
-        "Converting audio to WAV"
+        ffmpegPath,
+        ['-y', '-i', inputPath, ...buildAudioInputArgs(audio, { filterChain, channel: source.channel }), '-ar', '16000', '-ac', channels, '-b:a', '128k', source.wavPath],
+        "Converting audio to WAV",
+        { signal, timeoutMs: PROCESS_TIMEOUTS.convert }
       );
     } catch (convertError) {
-      console.warn('FFmpeg conversion failed, likely due to incompatible binary:', convertError.message);
-      // Clean up temporary files
-      try {
-        await fs.unlink(inputPath);
-      } catch (cleanupError) {
-        console.warn('Error cleaning up input file:', cleanupError.message);
-      }
+      signal.throwIfAborted();
+      console.warn('FFmpeg conversion failed:', convertError.message);
+      throw mediaError('The audio could not be converted for transcription.', 'CONVERSION_FAILED');
+    }
+  }
 
-      // Return empty transcription result when binaries fail
-      const emptyTranscription = {
-        text: "",
-        duration: 0,
-        segments: []
-      };
-
-      return res.json(emptyTranscription);
-    }
-
-    // Find a working Whisper binary
-    const whisperCandidates = getWhisperBinaryPathCandidates();
-    let whisperPath = null;
-    for (const candidate of whisperCandidates) {
-      try {
-        if (!fsSync.existsSync(candidate)) continue;
-        await execAsyncAcceptOutput(`"${candidate}" --help`, "Checking Whisper availability");
-        whisperPath = candidate;
-        break;
-      } catch (e) {
-        // try next candidate
-      }
+  for (const source of sources) await prepareWav(job, ffmpegPath, source, { preprocess, tempFiles });
+  const chunked = sources.some(source => source.chunks);
+
+  // Find a working Whisper binary
+  const whisperCandidates = getWhisperBinaryPathCandidates();
+  let whisperPath = null;
+  for (const candidate of whisperCandidates) {
+    try {
+      if (!fsSync.existsSync(candidate)) continue;
+      await execAsyncAcceptOutput(candidate, ['--help'], "Checking Whisper availability", { signal, timeoutMs: PROCESS_TIMEOUTS.check });
+      whisperPath = candidate;
+      break;
+    } catch (e) {
+      signal.throwIfAborted();
+      // try next candidate
     }
-    if (!whisperPath) {
-      // Last ditch: check if 'whisper' command works globally
-      try {
-         await execAsyncAcceptOutput(`whisper --help`, "Checking global Whisper");
-         whisperPath = 'whisper';
-      } catch(e) {
-        console.warn('Whisper binary not functional');
-        try {
-          await fs.unlink(inputPath);
-          await fs.unlink(wavPath);
-        } catch (cleanupError) {}
-        return res.status(500).json({
-          error: "Whisper could not be run on this PC. Please check server logs."
-        });
-      }
+  }
+  if (!whisperPath) {
+    // Last ditch: check if 'whisper' command works globally
+    try {
+      await execAsyncAcceptOutput('whisper', ['--help'], "Checking global Whisper", { signal, timeoutMs: PROCESS_TIMEOUTS.check });
+      whisperPath = 'whisper';
+    } catch (e) {
+      signal.throwIfAborted();
+      console.warn('Whisper binary not functional');
+      throw new Error("Whisper could not be run on this PC. Please check server logs.");
     }
+  }
+
+  // Run whisper transcription
+  const modelPathAbs = path.resolve(modelPath);
+  const wavFileName = sources[0].wavFileName;
 
-    // Run whisper transcription
-    const wavPathAbs = path.resolve(wavPath);
-    const modelPathAbs = path.resolve(modelPath);
-    const wavFileName = path.basename(wavPath);
-    let whisperOutput = '';
-    
+  // language=auto lets whisper detect the spoken language. With an allow-list, a detection-only
+  // pass (-dl, which only looks at the first 30 seconds) picks the language before transcribing,
+  // falling back to the first allowed code when the detected one isn't in the list.
+  // Chunked and per-channel runs detect once up front too, so every chunk and channel is
+  // transcribed in the same language.
+  let detection = null;
+  let whisperLanguage = language;
+  if (language === 'auto' && (allowedLanguages || chunked || sources.length > 1)) {
+    setJobStage(job, JOB_STAGE.DETECTING);
     try {
-      // whisper.cpp usage: main -f file.wav -m model.bin -l lang -oj -of output_name
-      whisperOutput = await execAsyncAcceptOutput(
-        `"${whisperPath}" "${wavFileName}" -m "${modelPathAbs}" -l ${language} -oj -of "${baseName}"`,
-        "Running transcription",
-        { cwd: TEMP_DIR }
+      const detectOutput = await execAsyncAcceptOutput(
+        whisperPath,
+        [wavFileName, '-m', modelPathAbs, '-l', 'auto', '-dl'],
+        "Detecting language",
+        { cwd: TEMP_DIR, signal, timeoutMs: PROCESS_TIMEOUTS.detect }
       );
-    } catch (transcriptionError) {
-      console.log("Transcription process had error output (non-fatal): " + transcriptionError);
+      detection = parseDetectedLanguage(detectOutput);
+    } catch (detectError) {
+      signal.throwIfAborted();
+      console.warn('Language detection failed:', detectError.message);
     }
+    if (allowedLanguages) {
+      whisperLanguage = detection && allowedLanguages.includes(detection.code) ? detection.code : allowedLanguages[0];
+    } else if (detection) {
+      whisperLanguage = detection.code;
+    }
+  }
 
-    // Try to find output file
-    let jsonPath = null;
-    try {
-      await fs.access(defaultJsonPath);
-      jsonPath = defaultJsonPath;
-    } catch {
-      // Fallback strategies for JSON extraction...
-      // (Simplified for brevity, assuming normal operation)
-      try {
-        await fs.access(`${outputBasePath}.json`);
-        jsonPath = `${outputBasePath}.json`;
-      } catch {
-        // Output not found
+  // task=translate runs whisper with --translate (English output); task=both runs a transcription
+  // pass and a translation pass and aligns the two by timestamps
+  setJobStage(job, JOB_STAGE.TRANSCRIBING);
+  const whisperDiarize = diarization && diarization.mode !== 'cluster' ? diarization.mode : null;
+  const prompt = vocabulary ? buildWhisperPrompt(vocabulary) : null;
+  const replacements = vocabulary ? vocabulary.replacements : null;
+  // Runs a pass over every source, one after the other. Separate channels aren't streamed: their
+  // segments only come in time order once all channels are merged.
+  const transcribeSources = async ({ outputSuffix, streamSegments, ...options }) => {
+    const passes = [];
+    for (const source of sources) {
+      passes.push(await transcribeWav(job, {
+        whisperPath, modelPathAbs, prompt, whisperOptions, threads: whisperOptions.threads, tempFiles, ...options,
+        wavFileName: source.wavFileName, chunks: source.chunks, timeMap: source.timeMap,
+        outputName: `${source.name}${outputSuffix}`, streamSegments: streamSegments && sources.length === 1
+      }));
+    }
+    if (sources.length === 1) return passes[0];
+    return {
+      output: passes.map(pass => pass.output).join('\n'),
+      transcription: passes.every(pass => pass.transcription)
+        ? { transcription: mergeChannelSegments(passes.map(pass => pass.transcription.transcription || [])) }
+        : null
+    };
+  };
+  const pass = await transcribeSources({
+    language: whisperLanguage, diarize: whisperDiarize, replacements,
+    outputSuffix: '', translate: task === 'translate', streamSegments: true
+  });
+  if (!pass.transcription) throw mediaError('Whisper output could not be read. Please check server logs.', 'TRANSCRIPTION_FAILED');
+  const { transcription } = pass;
+
+  // Language actually used: explicit, detected during this run (also in the JSON "result"), or from a detection pass
+  if (language === 'auto' && !allowedLanguages && !detection) {
+    detection = parseDetectedLanguage(pass.output);
+    if (!detection && transcription.result && transcription.result.language) {
+      detection = { code: transcription.result.language, confidence: null };
+    }
+  }
+
+  let translation = null;
+  if (task === 'both') {
+    setJobStage(job, JOB_STAGE.TRANSLATING);
+    // Reuse the detected language so the second pass doesn't detect again
+    const sourceLanguage = language === 'auto' && !allowedLanguages
+      ? (detection ? detection.code : 'auto')
+      : whisperLanguage;
+    const translationPass = await transcribeSources({
+      language: sourceLanguage, outputSuffix: '.en', translate: true, streamSegments: false
+    });
+    translation = translationPass.transcription ? (translationPass.transcription.transcription || []) : [];
+  }
+
+  // Speaker labels are added once the whole recording is transcribed; streamed segments don't have them.
+  // Clustering reads the untrimmed mono WAV, which segment times already refer to.
+  let segments = transcription.transcription || [];
+  if (diarization) {
+    setJobStage(job, JOB_STAGE.DIARIZING);
+    if (diarization.mode === 'stereo') segments = labelStereoSpeakers(segments);
+    else if (diarization.mode === 'tdrz') segments = labelSpeakerTurns(segments);
+    else segments = await clusterSpeakers(sources[0].wavPath, segments, { speakers: diarization.speakers });
+    signal.throwIfAborted();
+    if (translation) translation = copySpeakers(translation, segments);
+  }
+
+  // Case-sensitive replacement rules from the vocabulary fix the spellings the prompt didn't
+  let replacementCount = 0;
+  if (replacements && replacements.length > 0) {
+    ({ segments, count: replacementCount } = applyReplacements(segments, replacements));
+    if (translation) translation = applyReplacements(translation, replacements).segments;
+  }
+
+  let video = null;
+  if (subtitleVideo) {
+    setJobStage(job, JOB_STAGE.RENDERING);
+    video = await renderJobVideo(job, ffmpegPath, { mode: subtitleVideo, inputPath, media, segments });
+  }
+  setJobStage(job, JOB_STAGE.EXPORTING);
+
+  // Extract text
+  let fullText = '';
+  if (transcription.transcription && Array.isArray(transcription.transcription)) {
+    fullText = segmentsToText(segments);
+  } else {
+    fullText = (transcription.text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  const languageCode = language !== 'auto' ? language
+    : (allowedLanguages ? whisperLanguage : (detection ? detection.code : null));
+  const languageInfo = languageCode ? getLanguage(languageCode) : null;
+  const languageResult = {
+    code: languageCode,
+    name: languageInfo ? languageInfo.name : null,
+    detected: language === 'auto',
+    confidence: detection ? detection.confidence : null
+  };
+  if (allowedLanguages && (!detection || detection.code !== whisperLanguage)) {
+    // Detection failed or found a language outside the allow-list
+    languageResult.fallback = true;
+    languageResult.confidence = null;
+    languageResult.detectedCode = detection ? detection.code : null;
+    languageResult.detectedConfidence = detection ? detection.confidence : null;
+  }
+
+  // Separately transcribed channels are labelled like a diarized recording, so speakers can be renamed
+  const speakerLabels = diarization || (audio.channels === 'separate' ? { mode: 'channels', speakers: audio.channelCount } : null);
+  const removedSeconds = sources.reduce((sum, source) => sum + source.removedSeconds, 0);
+  const result = {
+    text: fullText,
+    segments,
+    duration: transcription.duration || media.duration || 0,
+    chunks: sources.reduce((sum, source) => sum + (source.chunks ? source.chunks.length : 1), 0),
+    preprocess: preprocess ? { ...preprocess, removedSeconds: Math.round(removedSeconds * 10) / 10 } : null,
+    media,
+    audio,
+    language: languageResult,
+    task,
+    diarization: speakerLabels,
+    speakers: speakerLabels ? listSpeakers(segments) : [],
+    granularity,
+    options: whisperOptions,
+    vocabulary: vocabulary ? { id: vocabulary.id || null, prompt, terms: vocabulary.terms, replacements: replacementCount } : null,
+    video
+  };
+  if (translation) {
+    result.translation = { language: 'en', text: segmentsToText(translation), segments: translation };
+    result.aligned = alignSegments(result.segments, translation);
+  }
+  return applyGranularity(result, granularity);
+}
+
+// segment: segments with a confidence each; word: a flat word list (with the segment's speaker) instead
+// of segments; both: segments with their words
+const GRANULARITIES = ['segment', 'word', 'both'];
+
+function applyGranularity(result, granularity) {
+  const withoutWords = segments => segments.map(({ words, ...segment }) => segment);
+  if (granularity === 'both') return result;
+  if (result.translation) result.translation.segments = withoutWords(result.translation.segments);
+  if (granularity === 'word') {
+    const { segments, ...rest } = result;
+    return {
+      ...rest,
+      words: segments.flatMap(segment => (segment.words || []).map(word => (segment.speaker ? { ...word, speaker: segment.speaker } : word)))
+    };
+  }
+  return { ...result, segments: withoutWords(result.segments) };
+}
+
+// Saves a finished transcription so it outlives the job, and adds its transcriptId to the result.
+// A failed save is logged; the job still returns the transcription.
+async function saveTranscript(job, result) {
+  const { filename, model } = job.meta;
+  try {
+    const transcript = await getTranscriptRepository().create({
+      title: path.parse(filename || 'Transcript').name || 'Transcript',
+      sourceFilename: filename || null,
+      jobId: job.id,
+      model,
+      owner: job.meta.apiKeyId,
+      ...result
+    });
+    return { ...result, transcriptId: transcript.id };
+  } catch (error) {
+    console.error(`Could not save transcript for job ${job.id}:`, error.message);
+    return { ...result, transcriptId: null };
+  }
+}
+
+// POSTs the job's outcome to callbackUrl once it is done (transcription.completed, with the result)
+// or failed (transcription.failed, with the error). Cancelled jobs send nothing.
+function notifyWhenFinished(job, callbackUrl, owner) {
+  job.events.on('status', () => {
+    if (job.status !== JOB_STATUS.DONE && job.status !== JOB_STATUS.FAILED) return;
+    const event = job.status === JOB_STATUS.DONE ? 'transcription.completed' : 'transcription.failed';
+    sendWebhook({ url: callbackUrl, event, data: serializeJob(job), jobId: job.id, owner });
+  });
+}
+
+// transcribe: source language, translate: English (whisper --translate), both: the two aligned by timestamps
+const TRANSCRIPTION_TASKS = ['transcribe', 'translate', 'both'];
+
+// Transcription endpoint: queues the upload and returns the job ID right away.
+// Poll GET /api/jobs/:id for the result.
+app.post('/api/transcribe', requireApiKey(), quotaPrecheck, receiveUpload, receiveRemoteMedia, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "No file uploaded (send a file, or a url to download the recording from)" });
+    }
+
+    const { language } = req.body;
+    if (!language) {
+      await removeFiles([req.file.path]);
+      return res.status(400).json({ error: "Language is required (use \"auto\" to detect it)" });
+    }
+    // Only catalog codes reach the whisper command line
+    if (language !== 'auto' && !getLanguage(language)) {
+      await removeFiles([req.file.path]);
+      return res.status(400).json({ error: `Unknown language "${language}". See GET /api/languages for supported codes.` });
+    }
+
+    const task = req.body.task || 'transcribe';
+    if (!TRANSCRIPTION_TASKS.includes(task)) {
+      await removeFiles([req.file.path]);
+      return res.status(400).json({ error: `task must be one of: ${TRANSCRIPTION_TASKS.join(', ')}` });
+    }
+
+    // Accepted as a query parameter or a form field
+    const granularity = req.query.granularity || req.body.granularity || 'segment';
+    if (!GRANULARITIES.includes(granularity)) {
+      await removeFiles([req.file.path]);
+      return res.status(400).json({ error: `granularity must be one of: ${GRANULARITIES.join(', ')}` });
+    }
+
+    const preprocess = parsePreprocessOptions(req.body.preprocess);
+    // Decoding options with the deployment defaults filled in; echoed back so a run can be repeated
+    const whisperOptions = parseWhisperOptions(req.body.options);
+    const callbackUrl = parseCallbackUrl(req.body.callbackUrl);
+    // Deliveries (with the transcript in their payload) are only visible to the key that asked for them
+    if (callbackUrl && !req.apiKey) {
+      await removeFiles([req.file.path]);
+      return res.status(401).json({ error: "callbackUrl needs an API key, so its deliveries can only be read by you", code: 'API_KEY_REQUIRED' });
+    }
+    // Which audio track(s) to transcribe, and whether to split the channels; checked against the file once probed
+    const trackOptions = parseTrackOptions(req.body);
+    const subtitleVideo = parseSubtitleVideoOption(req.body.subtitleVideo);
+
+    // Optional allow-list for language=auto, as an array or a comma-separated string
+    let allowedLanguages = null;
+    if (req.body.languages !== undefined && req.body.languages !== '') {
+      if (language !== 'auto') {
+        await removeFiles([req.file.path]);
+        return res.status(400).json({ error: "languages can only be used with language=auto" });
+      }
+      const codes = Array.isArray(req.body.languages) ? req.body.languages : String(req.body.languages).split(',');
+      allowedLanguages = [...new Set(codes.map(code => String(code).trim()).filter(Boolean))];
+      const unknown = allowedLanguages.filter(code => !getLanguage(code));
+      if (allowedLanguages.length === 0 || unknown.length > 0) {
+        await removeFiles([req.file.path]);
+        return res.status(400).json({ error: `Unknown language codes in languages: ${unknown.join(', ') || '(empty)'}` });
       }
     }
 
-    if (!jsonPath) {
-      // Attempt stdout parsing fallback would go here
-      console.warn('Whisper transcription failed (no output file)');
-      try {
-        await fs.unlink(inputPath);
-        await fs.unlink(wavPath);
-      } catch (e) {}
-      
-      return res.status(500).json({
-        error: "Whisper produced no output file. Please check server logs."
-      });
+    const modelName = req.body.model || DEFAULT_MODEL;
+    if (!getModel(modelName)) {
+      await removeFiles([req.file.path]);
+      return res.status(400).json({ error: `Unknown model "${modelName}". See GET /api/models for available models.` });
+    }
+    if (modelName !== DEFAULT_MODEL && !isModelAvailableSync(modelName)) {
+      await removeFiles([req.file.path]);
+      return res.status(400).json({ error: `Model "${modelName}" is not installed. See GET /api/models for installed models.` });
     }
 
-    // Read the transcription result
-    let transcription;
-    try {
-      const transcriptionData = await fs.readFile(jsonPath, 'utf8');
-      transcription = JSON.parse(transcriptionData);
-    } catch (readError) {
-      console.warn('Could not read transcription output:', readError.message);
-      return res.json({ text: "", duration: 0, segments: [] });
+    const model = getModel(modelName);
+    const diarization = parseDiarizationOptions(req.body.diarize, req.body.speakers, model);
+    // Initial prompt, glossary terms and replacement rules, from a saved vocabulary and/or this request
+    const vocabulary = await resolveVocabulary(req.body, { owner: ownerOf(req) });
+    let compatibilityError = null;
+    if (diarization && trackOptions.channels === 'separate') {
+      compatibilityError = "channels=separate labels each channel as its own speaker and can't be combined with diarize.";
+    } else if (model.englishOnly && language === 'auto') {
+      compatibilityError = `Model "${modelName}" is English-only and can't detect languages. Use language=en or a multilingual model.`;
+    } else if (model.englishOnly && task !== 'transcribe') {
+      compatibilityError = `Model "${modelName}" is English-only and can't translate. Use a multilingual model.`;
+    } else {
+      const codes = language === 'auto' ? (allowedLanguages || []) : [language];
+      compatibilityError = codes.map(code => getLanguageModelError(code, model)).find(Boolean) || null;
+    }
+    if (compatibilityError) {
+      await removeFiles([req.file.path]);
+      return res.status(400).json({ error: compatibilityError });
+    }
+
+    const inputPath = req.file.path;
+
+    // Reject non-media uploads before they take a queue slot
+    if (!await sniffMediaType(inputPath)) {
+      throw mediaError('Unsupported file type. Upload an audio or video file.', 'UNSUPPORTED_FORMAT');
+    }
+    // Probe right away when ffmpeg is installed, so stream and length problems come back with this response
+    let media = null;
+    let audio = null;
+    if (isFFmpegInstalledSync()) {
+      media = await probeMedia(getFFmpegPath(), inputPath);
+      checkMediaLimits(media);
+      audio = resolveAudioSelection(trackOptions, media);
+      if (diarization && diarization.mode === 'stereo') checkStereo(media, audio);
+      if (subtitleVideo) checkVideo(media);
     }
+    // Holds the length against the key's quota while the job is queued and running, so parallel uploads
+    // are counted against each other; the real length replaces it when the job finishes
+    const estimatedSeconds = media ? media.duration || 0 : req.file.size / ESTIMATED_BYTES_PER_SECOND;
+    const settleQuota = reserveAudioQuota(req.apiKey, estimatedSeconds);
 
-    // Clean up
+    const { apiKey } = req;
+    const tempFiles = [inputPath];
+    let job;
     try {
-      await fs.unlink(inputPath);
-      await fs.unlink(wavPath);
-      await fs.unlink(jsonPath).catch(() => { });
-    } catch (cleanupError) {}
-
-    // Extract text
-    let fullText = '';
-    if (transcription.transcription && Array.isArray(transcription.transcription)) {
-      fullText = transcription.transcription.map(segment => segment.text.trim()).join(' ').replace(/\s+/g, ' ').trim();
-    } else {
-      fullText = (transcription.text || '').replace(/\s+/g, ' ').trim();
+      job = enqueueJob(
+        job => transcribeAudio(job, { inputPath, media, trackOptions, language, allowedLanguages, task, granularity, preprocess, diarization, vocabulary, whisperOptions, subtitleVideo, modelName, tempFiles })
+          .then(async result => {
+            await settleQuota(result.duration || 0);
+            return saveTranscript(job, result);
+          }),
+        {
+          meta: { filename: req.file.originalname, language, allowedLanguages, task, granularity, preprocess, diarization, ...trackOptions, subtitleVideo, vocabularyId: vocabulary ? vocabulary.id || null : null, options: whisperOptions, model: modelName, apiKeyId: apiKey ? apiKey.id : null, callbackUrl },
+          // Failed and cancelled jobs use no quota; after a successful settle this does nothing
+          cleanup: () => Promise.all([settleQuota(0), removeFiles(tempFiles)])
+        }
+      );
+    } catch (error) {
+      settleQuota(0);
+      throw error;
+    }
+    if (callbackUrl) notifyWhenFinished(job, callbackUrl, apiKey.id);
+    if (apiKey) {
+      getApiKeyRepository().recordUsage(apiKey.id, { transcriptions: 1 })
+        .catch(error => console.error(`Could not record usage for API key ${apiKey.id}:`, error.message));
     }
 
-    res.json({
-      text: fullText,
-      segments: transcription.transcription || [],
-      duration: transcription.duration || 0
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+      media,
+      audio,
+      subtitleVideo,
+      options: whisperOptions,
+      callbackUrl
     });
   } catch (error) {
-    console.error("Transcription error:", error);
     if (req.file && req.file.path) {
       try { await fs.unlink(req.file.path); } catch (e) {}
     }
+    if (['INVALID_PREPROCESS', 'INVALID_DIARIZATION', 'INVALID_VOCABULARY', 'INVALID_OPTIONS', 'INVALID_CALLBACK', 'INVALID_TRACK', 'INVALID_SUBTITLE_VIDEO'].includes(error.code)) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'QUOTA_EXCEEDED') return res.status(429).json({ error: error.message, code: error.code });
+    if (MEDIA_ERROR_STATUS[error.code]) {
+      return res.status(MEDIA_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    console.error("Transcription error:", error);
+    if (error.code === 'QUEUE_FULL') {
+      return res.status(503).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message || "Transcription failed" });
   }
 });
 
+// Job status endpoint: queued/running/done/failed/cancelled, with the result once done
+app.get('/api/jobs/:id', requireApiKey(), (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(serializeJob(job));
+});
+
+// Subtitled video of a job transcribed with subtitleVideo, available for as long as the job is
+app.get('/api/jobs/:id/video', requireApiKey(), (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!job.meta.subtitleVideo) return res.status(400).json({ error: "Job was transcribed without subtitleVideo" });
+  if (job.status !== JOB_STATUS.DONE) return res.status(409).json({ error: `Job is ${job.status}; the video is available once it is done` });
+  if (!job.video) return res.status(404).json({ error: "The subtitled video could not be rendered" });
+
+  const name = path.parse(job.meta.filename || 'video').name || 'video';
+  res.download(job.video.path, `${name}.subtitled.${job.video.extension}`, (error) => {
+    if (error && !res.headersSent) res.status(404).json({ error: "The subtitled video is no longer available" });
+  });
+});
+
+// Lists a file's streams without transcribing it, so a client can pick an audioTrack first.
+// Takes a file upload or a url like /api/transcribe; the file is deleted right after probing.
+app.post('/api/probe', requireApiKey(), receiveUpload, receiveRemoteMedia, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "No file uploaded (send a file, or a url to download the recording from)" });
+  try {
+    if (!isFFmpegInstalledSync()) return res.status(503).json({ error: "FFmpeg is not installed yet; it is installed with the first transcription" });
+    if (!await sniffMediaType(req.file.path)) {
+      throw mediaError('Unsupported file type. Upload an audio or video file.', 'UNSUPPORTED_FORMAT');
+    }
+    const media = await probeMedia(getFFmpegPath(), req.file.path);
+    res.json({ filename: req.file.originalname, media });
+  } catch (error) {
+    if (MEDIA_ERROR_STATUS[error.code]) {
+      return res.status(MEDIA_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    console.error("Probe error:", error);
+    res.status(500).json({ error: "Could not probe file" });
+  } finally {
+    await removeFiles([req.file.path]);
+  }
+});
+
+// Renames speakers in a finished job's result. Body: { names: { "Speaker 1": "Alice", ... } }.
+// Labels not in the map are kept; renaming two speakers to the same name merges them.
+app.patch('/api/jobs/:id/speakers', requireApiKey(), async (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (job.status !== JOB_STATUS.DONE) return res.status(409).json({ error: `Job is ${job.status}; speakers can be renamed once it is done` });
+  if (!job.result.diarization) return res.status(400).json({ error: "Job was transcribed without diarize" });
+
+  try {
+    const names = parseSpeakerNames(req.body.names);
+    if (!names) return res.status(400).json({ error: "names is required" });
+    const unknown = Object.keys(names).filter(label => !job.result.speakers.includes(label));
+    if (unknown.length > 0) return res.status(400).json({ error: `Unknown speakers: ${unknown.join(', ')}` });
+
+    const { result } = job;
+    if (result.segments) result.segments = renameSpeakers(result.segments, names);
+    if (result.words) result.words = renameSpeakers(result.words, names);
+    if (result.aligned) result.aligned = renameSpeakers(result.aligned, names);
+    if (result.translation) result.translation.segments = renameSpeakers(result.translation.segments, names);
+    result.speakers = listSpeakers(result.segments || result.words);
+    if (result.transcriptId) {
+      await getTranscriptRepository().update(result.transcriptId, buildTranscriptChanges({ speakerNames: names }));
+    }
+    res.json(serializeJob(job));
+  } catch (error) {
+    if (error.code === 'INVALID_DIARIZATION') return res.status(400).json({ error: error.message });
+    res.status(500).json({ error: "Speaker rename failed" });
+  }
+});
+
+// Admin routes are disabled unless ADMIN_TOKEN is set; callers send it as X-Admin-Token
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) return res.status(403).json({ error: "Admin API is disabled. Set ADMIN_TOKEN to enable it." });
+  if (req.get('X-Admin-Token') !== adminToken) return res.status(401).json({ error: "Invalid admin token" });
+  next();
+}
+
+// The transcribe, export, job, transcript and vocabulary routes need an API key unless anonymous access is
+// switched on with REQUIRE_API_KEY=0; anonymous deployments still count and limit requests that send a key
+const REQUIRE_API_KEY = !/^(0|false|no)$/i.test(process.env.REQUIRE_API_KEY || '');
+const rateLimiter = createRateLimiter();
+
+// The key sent as "Authorization: Bearer <key>" or X-API-Key, or null
+function presentedApiKey(req) {
+  const authorization = req.get('Authorization') || '';
+  if (/^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim();
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Checks the request's API key and its rate limit, and counts the request (plus one on the given
+ * usage counter, e.g. "exports"). The key is left on req.apiKey; it is null for anonymous requests.
+ */
+function requireApiKey(counter = null) {
+  return async (req, res, next) => {
+    try {
+      const presented = presentedApiKey(req);
+      if (!presented) {
+        if (REQUIRE_API_KEY) return res.status(401).json({ error: "API key required. Send it as \"Authorization: Bearer <key>\".", code: 'API_KEY_REQUIRED' });
+        req.apiKey = null;
+        return next();
+      }
+      const key = await getApiKeyRepository().findByKey(presented);
+      if (!key) return res.status(401).json({ error: "Invalid or revoked API key", code: 'INVALID_API_KEY' });
+
+      const limit = rateLimiter.take(key.id, keyLimits(key).rateLimit);
+      res.set({ 'X-RateLimit-Limit': String(limit.limit), 'X-RateLimit-Remaining': String(limit.remaining) });
+      if (!limit.allowed) {
+        res.set('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({ error: `Rate limit of ${limit.limit} requests per minute exceeded`, code: 'RATE_LIMITED' });
+      }
+      await getApiKeyRepository().recordUsage(key.id, counter ? { requests: 1, [counter]: 1 } : { requests: 1 });
+      req.apiKey = key;
+      next();
+    } catch (error) {
+      console.error("API key check error:", error);
+      res.status(500).json({ error: "Could not check API key" });
+    }
+  };
+}
+
+// For routes whose data belongs to one key (webhook deliveries): an API key is needed even with
+// REQUIRE_API_KEY=0, since callers without one can't be told apart
+function requireKeyHolder(req, res, next) {
+  if (!req.apiKey) return res.status(401).json({ error: "This route needs an API key. Send it as \"Authorization: Bearer <key>\".", code: 'API_KEY_REQUIRED' });
+  next();
+}
+
+// Jobs, saved transcripts and vocabularies belong to the API key that created them (null without one).
+// Records of other owners are answered with 404, as if they didn't exist.
+function ownerOf(req) {
+  return req.apiKey ? req.apiKey.id : null;
+}
+
+function isOwnedBy(record, req) {
+  return Boolean(record) && (record.owner || null) === ownerOf(req);
+}
+
+// The job named by req.params.id if it belongs to the caller, else null
+function findOwnJob(req) {
+  const job = getJob(req.params.id);
+  return job && isOwnedBy({ owner: job.meta.apiKeyId }, req) ? job : null;
+}
+
+// Rejects a transcription that would take the key past its monthly audio quota (seconds = the media
+// duration, or 0 before it is known). Audio held by the key's unfinished transcriptions counts as used.
+function checkAudioQuota(apiKey, seconds) {
+  if (!apiKey) return;
+  const remaining = remainingAudioSeconds(apiKey, getApiKeyRepository().reservedAudioSeconds(apiKey.id));
+  if (remaining <= 0 || seconds > remaining) {
+    const err = new Error(`Monthly audio quota exceeded: ${(remaining / 60).toFixed(1)} of ${keyLimits(apiKey).monthlyMinutes} minutes left. See GET /api/usage.`);
+    err.code = 'QUOTA_EXCEEDED';
+    throw err;
+  }
+}
+
+// Turns away keys with no quota left before their upload is received
+function quotaPrecheck(req, res, next) {
+  try {
+    checkAudioQuota(req.apiKey, 0);
+    next();
+  } catch (error) {
+    res.status(429).json({ error: error.message, code: error.code });
+  }
+}
+
+// Without a probe (ffmpeg not installed yet) the length is estimated from the file size, at 128 kbit/s
+const ESTIMATED_BYTES_PER_SECOND = 16000;
+
+/**
+ * Checks the quota for a transcription of the given length and holds that much of it until the job
+ * finishes. Returns settle(seconds), which records the real length in place of the hold (0 when the job
+ * failed); without an API key it does nothing.
+ */
+function reserveAudioQuota(apiKey, seconds) {
+  if (!apiKey) return async () => {};
+  checkAudioQuota(apiKey, seconds);
+  const settle = getApiKeyRepository().reserveAudio(apiKey.id, seconds);
+  return actualSeconds => settle(actualSeconds)
+    .catch(error => console.error(`Could not record usage for API key ${apiKey.id}:`, error.message));
+}
+
+// Language catalog for the UI's language picker. With ?model=<name>, each entry also says
+// whether that model can transcribe it.
+app.get('/api/languages', (req, res) => {
+  let model = null;
+  if (req.query.model) {
+    model = getModel(req.query.model);
+    if (!model) return res.status(400).json({ error: `Unknown model "${req.query.model}". See GET /api/models for available models.` });
+  }
+  res.json({ languages: LANGUAGES.map(language => describeLanguage(language, model)) });
+});
+
+// Model listing with installed/missing state
+app.get('/api/models', (req, res) => {
+  res.json({ defaultModel: DEFAULT_MODEL, models: listModels() });
+});
+
+// Decoding options accepted in the transcribe request's options field, with this deployment's bounds and defaults
+app.get('/api/options', (req, res) => {
+  res.json({ options: describeWhisperOptions() });
+});
+
+// Install a model. The download runs in the background; poll GET /api/models for its state.
+app.post('/api/admin/models/:name', requireAdmin, (req, res) => {
+  const model = getModel(req.params.name);
+  if (!model) return res.status(404).json({ error: "Model not found" });
+
+  const entry = () => listModels().find(m => m.name === model.name);
+  if (entry().installed) return res.json(entry());
+
+  installModel(model.name).catch(error => {
+    console.error(`Error installing model ${model.name}:`, error.message);
+  });
+  res.status(202).json(entry());
+});
+
+// Remove an installed model
+app.delete('/api/admin/models/:name', requireAdmin, async (req, res) => {
+  const model = getModel(req.params.name);
+  if (!model) return res.status(404).json({ error: "Model not found" });
+
+  try {
+    await removeModel(model.name);
+    res.json(listModels().find(m => m.name === model.name));
+  } catch (error) {
+    if (error.code === 'MODEL_BUSY') return res.status(409).json({ error: error.message });
+    if (error.code === 'ENOENT') return res.status(404).json({ error: `Model "${model.name}" is not installed` });
+    res.status(500).json({ error: "Model removal failed" });
+  }
+});
+
+// Usage of the calling API key for a month (?month=YYYY-MM, default: the current one)
+app.get('/api/usage', async (req, res) => {
+  try {
+    const presented = presentedApiKey(req);
+    if (!presented) return res.status(401).json({ error: "API key required. Send it as \"Authorization: Bearer <key>\".", code: 'API_KEY_REQUIRED' });
+    const key = await getApiKeyRepository().findByKey(presented);
+    if (!key) return res.status(401).json({ error: "Invalid or revoked API key", code: 'INVALID_API_KEY' });
+    const month = req.query.month || usageMonth();
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return res.status(400).json({ error: "month must look like YYYY-MM" });
+    res.json(describeUsage(key, month));
+  } catch (error) {
+    console.error("Usage read error:", error);
+    res.status(500).json({ error: "Could not read usage" });
+  }
+});
+
+// API key management. The clear-text key is only in the POST response; keys are stored hashed.
+// Body for POST/PATCH: { name, rateLimit (requests per minute), monthlyMinutes (0 = unlimited) }
+app.get('/api/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const keys = await getApiKeyRepository().list();
+    res.json({ keys: keys.map(key => ({ ...publicKey(key), currentUsage: describeUsage(key) })) });
+  } catch (error) {
+    console.error("API key list error:", error);
+    res.status(500).json({ error: "Could not list API keys" });
+  }
+});
+
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const { key, apiKey } = await getApiKeyRepository().create(parseKeyFields(req.body, { requireName: true }));
+    res.status(201).json({ ...publicKey(key), apiKey });
+  } catch (error) {
+    if (error.code === 'INVALID_API_KEY_INPUT') return res.status(400).json({ error: error.message });
+    console.error("API key create error:", error);
+    res.status(500).json({ error: "Could not create API key" });
+  }
+});
+
+app.patch('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const key = await getApiKeyRepository().update(req.params.id, parseKeyFields(req.body));
+    if (!key) return res.status(404).json({ error: "API key not found" });
+    res.json(publicKey(key));
+  } catch (error) {
+    if (error.code === 'INVALID_API_KEY_INPUT') return res.status(400).json({ error: error.message });
+    console.error("API key update error:", error);
+    res.status(500).json({ error: "Could not update API key" });
+  }
+});
+
+// Revokes a key; it stays listed with its usage
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const key = await getApiKeyRepository().revoke(req.params.id);
+    if (!key) return res.status(404).json({ error: "API key not found" });
+    res.json(publicKey(key));
+  } catch (error) {
+    console.error("API key revoke error:", error);
+    res.status(500).json({ error: "Could not revoke API key" });
+  }
+});
+
+// Webhook deliveries made for the calling API key (or for anonymous requests, without one), newest
+// first. Query: jobId, status (pending, delivered, failed)
+app.get('/api/webhooks/deliveries', requireApiKey(), requireKeyHolder, (req, res) => {
+  const { jobId, status } = req.query;
+  if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${Object.values(DELIVERY_STATUS).join(', ')}` });
+  }
+  const deliveries = listDeliveries({ owner: req.apiKey.id, jobId, status });
+  res.json({ deliveries: deliveries.map(delivery => serializeDelivery(delivery)) });
+});
+
+// A delivery whose owner is the calling API key, or null
+function findOwnDelivery(req) {
+  const delivery = getDelivery(req.params.id);
+  return delivery && delivery.owner === req.apiKey.id ? delivery : null;
+}
+
+// One delivery with its attempts and the payload it sends
+app.get('/api/webhooks/deliveries/:id', requireApiKey(), requireKeyHolder, (req, res) => {
+  const delivery = findOwnDelivery(req);
+  if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+  res.json(serializeDelivery(delivery, { payload: true }));
+});
+
+// Sends a delivered or failed delivery again, with a fresh round of retries
+app.post('/api/webhooks/deliveries/:id/redeliver', requireApiKey(), requireKeyHolder, (req, res) => {
+  const delivery = findOwnDelivery(req);
+  if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+  if (!redeliver(delivery)) return res.status(409).json({ error: "Delivery is still pending" });
+  res.status(202).json(serializeDelivery(delivery));
+});
+
+// Server-Sent Events helper
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Job progress stream (Server-Sent Events). Emits:
+//   status   - job view on connect and on every status change (includes the result when done)
+//   stage    - { stage } probing (if ffmpeg wasn't installed at upload time), converting,
+//              preprocessing (preprocess.vad), detecting (language=auto with an allow-list or a
+//              chunked recording), transcribing, translating (task=both), diarizing (diarize),
+//              rendering (subtitleVideo), exporting, finished
+//   progress - { percent } whisper progress for the transcribing stage
+//   segment  - { index, ...segment } each segment as whisper decodes it
+// Segments decoded before the client connected are replayed first. The stream closes once the job finishes.
+app.get('/api/jobs/:id/events', requireApiKey(), (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no" // Disable proxy buffering (nginx)
+  });
+
+  sendEvent(res, 'status', serializeJob(job));
+  if (isFinished(job)) return res.end();
+  job.segments.forEach((segment, index) => sendEvent(res, 'segment', { index, ...segment }));
+
+  const onStage = stage => sendEvent(res, 'stage', { stage });
+  const onProgress = percent => sendEvent(res, 'progress', { percent });
+  const onSegment = (segment, index) => sendEvent(res, 'segment', { index, ...segment });
+  const onStatus = () => {
+    sendEvent(res, 'status', serializeJob(job));
+    if (isFinished(job)) res.end();
+  };
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  job.events.on('stage', onStage);
+  job.events.on('progress', onProgress);
+  job.events.on('segment', onSegment);
+  job.events.on('status', onStatus);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    job.events.off('stage', onStage);
+    job.events.off('progress', onProgress);
+    job.events.off('segment', onSegment);
+    job.events.off('status', onStatus);
+  });
+});
+
+// Job cancellation endpoint: drops a queued job or kills the running ffmpeg/whisper process
+app.delete('/api/jobs/:id', requireApiKey(), (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (!cancelJob(job.id)) {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+  res.json(serializeJob(job));
+});
+
+/**
+ * Export request body with a saved transcript filled in: with transcriptId, the transcript's segments
+ * (aligned with the translation for task=both), title, language and duration are used, and any other
+ * body field overrides them. speakerNames ({ "Speaker 1": "Alice" }) renames speakers in the output only,
+ * and replacements and/or vocabularyId apply replacement rules to the exported segments.
+ */
+async function resolveExportBody(req) {
+  const { body } = req;
+  let resolved = body;
+  if (body.transcriptId !== undefined) {
+    const transcript = await getTranscriptRepository().get(body.transcriptId);
+    if (!isOwnedBy(transcript, req)) throw transcriptError('Transcript not found', 'TRANSCRIPT_NOT_FOUND');
+    resolved = {
+      segments: transcript.aligned || transcriptSegments(transcript),
+      title: transcript.title,
+      filename: transcript.title,
+      sourceFilename: transcript.sourceFilename,
+      language: transcript.language ? transcript.language.code : undefined,
+      duration: transcript.duration,
+      ...body
+    };
+  }
+  const names = parseSpeakerNames(resolved.speakerNames);
+  if (names) resolved = { ...resolved, segments: renameSpeakers(resolved.segments, names) };
+  const vocabulary = await resolveVocabulary({ vocabularyId: resolved.vocabularyId, replacements: resolved.replacements }, { owner: ownerOf(req) });
+  if (vocabulary && Array.isArray(resolved.segments)) {
+    resolved = { ...resolved, segments: applyReplacements(resolved.segments, vocabulary.replacements).segments };
+  } else if (vocabulary && typeof resolved.text === 'string') {
+    resolved = { ...resolved, text: applyReplacements([{ text: resolved.text }], vocabulary.replacements).segments[0].text };
+  }
+  return resolved;
+}
+
+// Sets Content-Disposition for an export download named after a client-supplied title. Quotes, control
+// characters and path separators are dropped. res.attachment sends names that fit in ISO-8859-1 as a
+// plain filename; other names get filename* (UTF-8, RFC 5987) plus a filename fallback with "?" for the
+// characters outside ISO-8859-1.
+function setExportAttachment(res, filename, extension) {
+  const name = String(filename || '').replace(/[\u0000-\u001f\u007f"]/g, '').replace(/[\/\\]/g, '_').trim() || 'transcript';
+  res.attachment(`${name}.${extension}`);
+}
+
+const EXPORT_INPUT_ERRORS = ['INVALID_EXPORT_INPUT', 'INVALID_DIARIZATION', 'INVALID_VOCABULARY'];
+
+// Status for an export error: 400 for bad input, 404 for an unknown transcriptId
+function exportErrorStatus(error) {
+  if (EXPORT_INPUT_ERRORS.includes(error.code)) return 400;
+  if (error.code === 'TRANSCRIPT_NOT_FOUND') return 404;
+  return null;
+}
+
 // PDF export endpoint
-app.post('/api/export/pdf', async (req, res) => {
-  try {
-    const { text, filename } = req.body;
-    if (!text || text.trim().length === 0) return res.status(400).json({ error: "Empty transcript" });
-
-    const chunks = [];
-    const doc = new PDFDocument({ size: "A4", margins: { top: 50, bottom: 50, left: 50, right: 50 } });
-
-    doc.on("data", (chunk) => chunks.push(chunk));
-    doc.on("end", () => {
-      const pdfBuffer = Buffer.concat(chunks);
-      res.writeHead(200, {
-        "Content-Type": "application/pdf",
-        "Content-Disposition": `attachment; filename="${filename || "transcript"}.pdf"`,
-        "Content-Length": pdfBuffer.length,
-      });
-      res.end(pdfBuffer);
+// Body: { text | segments | transcriptId, filename, title, language, duration, sourceFilename, date, groupBy, timestamps, speakerNames }
+app.post('/api/export/pdf', requireApiKey('exports'), async (req, res) => {
+  try {
+    const body = await resolveExportBody(req);
+    const { filename } = body;
+    const pdfBuffer = await renderPdf(buildTranscriptDocument(body));
+
+    setExportAttachment(res, filename, 'pdf');
+    res.writeHead(200, {
+      "Content-Type": "application/pdf",
+      "Content-Length": pdfBuffer.length,
     });
-    
-    doc.font("Times-Roman").fontSize(12).fillColor("black").text(text, { align: "left", lineGap: 4 });
-    doc.end();
+    res.end(pdfBuffer);
   } catch (error) {
+    if (exportErrorStatus(error)) {
+      return res.status(exportErrorStatus(error)).json({ error: error.message });
+    }
+    console.error("PDF export error:", error);
+    if (error.code === 'FONT_MISSING') {
+      return res.status(500).json({ error: `PDF export failed: ${error.message}`, code: error.code });
+    }
     res.status(500).json({ error: "PDF export failed" });
   }
 });
 
 // DOCX export endpoint
-app.post('/api/export/docx', async (req, res) => {
+// Body: { text | segments | transcriptId, filename, title, language, duration, sourceFilename, date, groupBy, timestamps, speakerNames }
+app.post('/api/export/docx', requireApiKey('exports'), async (req, res) => {
   try {
-    const { text, filename } = req.body;
-    if (!text || text.trim().length === 0) return res.status(400).json({ error: "Empty transcript" });
-
-    const docxContent = `TRANSCRIPT\n\n${text}\n\n---`; 
-    const buffer = Buffer.from(docxContent, 'utf8');
+    const body = await resolveExportBody(req);
+    const { filename } = body;
+    const buffer = await renderDocx(buildTranscriptDocument(body));
 
+    setExportAttachment(res, filename, 'docx');
     res.writeHead(200, {
       "Content-Type": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      "Content-Disposition": `attachment; filename="${filename || "transcript"}.docx"`,
       "Content-Length": buffer.length,
     });
     res.end(buffer);
   } catch (error) {
+    if (exportErrorStatus(error)) {
+      return res.status(exportErrorStatus(error)).json({ error: error.message });
+    }
+    console.error("DOCX export error:", error);
     res.status(500).json({ error: "DOCX export failed" });
   }
 });
 
+// Subtitle export endpoints: /api/export/srt, /api/export/vtt and /api/export/json (timed JSON).
+// Body: { segments | transcriptId, filename, speakerNames, options: { maxLineLength, maxLines, maxCueChars, split, merge, maxMergeGap, speakerLabels } }
+app.post('/api/export/:format(srt|vtt|json)', requireApiKey('exports'), async (req, res) => {
+  try {
+    const { segments, filename, options } = await resolveExportBody(req);
+    const format = SUBTITLE_FORMATS[req.params.format];
+
+    const cues = buildCues(segments, options || {});
+    if (cues.length === 0) return res.status(400).json({ error: "Empty transcript" });
+
+    const buffer = Buffer.from(format.render(cues), 'utf8');
+    setExportAttachment(res, filename, format.extension);
+    res.writeHead(200, {
+      "Content-Type": format.contentType,
+      "Content-Length": buffer.length,
+    });
+    res.end(buffer);
+  } catch (error) {
+    if (exportErrorStatus(error)) {
+      return res.status(exportErrorStatus(error)).json({ error: error.message });
+    }
+    console.error("Subtitle export error:", error);
+    res.status(500).json({ error: "Subtitle export failed" });
+  }
+});
+
+// The saved transcript named by req.params.id if it belongs to the caller, else null
+async function findOwnTranscript(req) {
+  const transcript = await getTranscriptRepository().get(req.params.id);
+  return isOwnedBy(transcript, req) ? transcript : null;
+}
+
+// Repository update of the caller's own transcript: changes(transcript) -> fields to merge. Throws
+// TRANSCRIPT_NOT_FOUND for another owner's transcript; returns null if there is none.
+function updateOwnTranscript(req, changes) {
+  return getTranscriptRepository().update(req.params.id, current => {
+    if (!isOwnedBy(current, req)) throw transcriptError('Transcript not found', 'TRANSCRIPT_NOT_FOUND');
+    return changes(current);
+  });
+}
+
+// Saved transcripts, newest first. Query: page, pageSize, q (full-text search over segment text;
+// each result then lists its matching segments)
+app.get('/api/transcripts', requireApiKey(), async (req, res) => {
+  try {
+    const { q, page, pageSize } = req.query;
+    res.json(await getTranscriptRepository().list({ q, page, pageSize, owner: ownerOf(req) }));
+  } catch (error) {
+    if (error.code === 'INVALID_TRANSCRIPT') return res.status(400).json({ error: error.message });
+    console.error("Transcript list error:", error);
+    res.status(500).json({ error: "Could not list transcripts" });
+  }
+});
+
+app.get('/api/transcripts/:id', requireApiKey(), async (req, res) => {
+  try {
+    const transcript = await findOwnTranscript(req);
+    if (!transcript) return res.status(404).json({ error: "Transcript not found" });
+    res.json(publicTranscript(transcript));
+  } catch (error) {
+    console.error("Transcript read error:", error);
+    res.status(500).json({ error: "Could not read transcript" });
+  }
+});
+
+// Body: { title?, segments?, speakerNames? }
+app.patch('/api/transcripts/:id', requireApiKey(), async (req, res) => {
+  try {
+    const changes = buildTranscriptChanges(req.body);
+    const transcript = await updateOwnTranscript(req, changes);
+    if (!transcript) return res.status(404).json({ error: "Transcript not found" });
+    res.json(publicTranscript(transcript));
+  } catch (error) {
+    if (error.code === 'TRANSCRIPT_NOT_FOUND') return res.status(404).json({ error: "Transcript not found" });
+    if (['INVALID_TRANSCRIPT', 'INVALID_DIARIZATION'].includes(error.code)) return res.status(400).json({ error: error.message });
+    console.error("Transcript update error:", error);
+    res.status(500).json({ error: "Could not update transcript" });
+  }
+});
+
+app.delete('/api/transcripts/:id', requireApiKey(), async (req, res) => {
+  try {
+    if (!await findOwnTranscript(req) || !await getTranscriptRepository().remove(req.params.id)) return res.status(404).json({ error: "Transcript not found" });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Transcript delete error:", error);
+    res.status(500).json({ error: "Could not delete transcript" });
+  }
+});
+
+// HTTP status for transcript editing error codes
+const EDIT_ERROR_STATUS = {
+  INVALID_TRANSCRIPT: 400,
+  INVALID_DIARIZATION: 400,
+  TRANSCRIPT_NOT_FOUND: 404,
+  SEGMENT_NOT_FOUND: 404,
+  REVISION_NOT_FOUND: 404,
+  REVISION_CONFLICT: 409
+};
+
+function sendEditError(res, error, label) {
+  if (EDIT_ERROR_STATUS[error.code]) return res.status(EDIT_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: `${label} failed` });
+}
+
+// Applies an edit to a saved transcript's segments and stores it as a new revision.
+// edit(segments, transcript) returns { segments, changes, ...extra }; edits that change nothing make no revision.
+// With baseRevision in the body, the edit is refused with 409 if someone else saved a revision since.
+async function applyTranscriptEdit(req, res, { label, operation, details, edit }) {
+  try {
+    let extra = {};
+    const transcript = await updateOwnTranscript(req, current => {
+      if (req.body.baseRevision !== undefined && Number(req.body.baseRevision) !== currentRevision(current)) {
+        throw transcriptError(`Transcript is at revision ${currentRevision(current)}, not ${req.body.baseRevision}`, 'REVISION_CONFLICT');
+      }
+      const { segments, changes, ...rest } = edit(current[segmentsKey(current)] || [], current);
+      extra = rest;
+      return changes.length > 0 ? recordRevision(current, { operation, details, segments, changes }) : {};
+    });
+    if (!transcript) return res.status(404).json({ error: "Transcript not found" });
+    res.json({ ...extra, transcript: publicTranscript(transcript) });
+  } catch (error) {
+    sendEditError(res, error, label);
+  }
+}
+
+// Edit one segment. Body: { text?, from?, to? (ms), speaker? (null clears it), baseRevision? }
+app.patch('/api/transcripts/:id/segments/:index', requireApiKey(), (req, res) => {
+  const { text, from, to, speaker } = req.body;
+  applyTranscriptEdit(req, res, {
+    label: 'Segment edit',
+    operation: 'edit-segment',
+    details: { index: Number(req.params.index) },
+    edit: segments => editSegment(segments, req.params.index, { text, from, to, speaker })
+  });
+});
+
+// Split a segment in two. Body: { position (character index in its text), at? (ms where the second part starts), baseRevision? }
+app.post('/api/transcripts/:id/segments/:index/split', requireApiKey(), (req, res) => {
+  const { position, at } = req.body;
+  applyTranscriptEdit(req, res, {
+    label: 'Segment split',
+    operation: 'split-segment',
+    details: { index: Number(req.params.index), position },
+    edit: segments => splitSegment(segments, req.params.index, { position, at })
+  });
+});
+
+// Merge consecutive segments. Body: { index, count? (default 2), baseRevision? }
+app.post('/api/transcripts/:id/segments/merge', requireApiKey(), (req, res) => {
+  const { index, count = 2 } = req.body;
+  applyTranscriptEdit(req, res, {
+    label: 'Segment merge',
+    operation: 'merge-segments',
+    details: { index, count },
+    edit: segments => mergeSegments(segments, index, count)
+  });
+});
+
+// Find and replace across the transcript. Body: { find, replace, caseSensitive?, wholeWord?, baseRevision? }
+// Responds with the number of replacements made.
+app.post('/api/transcripts/:id/replace', requireApiKey(), (req, res) => {
+  const { find, replace, caseSensitive, wholeWord } = req.body;
+  applyTranscriptEdit(req, res, {
+    label: 'Find and replace',
+    operation: 'replace-text',
+    details: { find, replace, caseSensitive: Boolean(caseSensitive), wholeWord: Boolean(wholeWord) },
+    edit: segments => replaceText(segments, { find, replace, caseSensitive, wholeWord })
+  });
+});
+
+// Restore the segments of an earlier revision, as a new revision. Body: { revision, baseRevision? }
+app.post('/api/transcripts/:id/revert', requireApiKey(), (req, res) => {
+  const { revision } = req.body;
+  applyTranscriptEdit(req, res, {
+    label: 'Revert',
+    operation: 'revert',
+    details: { revision },
+    edit: (segments, transcript) => revertToRevision(transcript, revision)
+  });
+});
+
+// Revision log, oldest first
+app.get('/api/transcripts/:id/revisions', requireApiKey(), async (req, res) => {
+  try {
+    const transcript = await findOwnTranscript(req);
+    if (!transcript) return res.status(404).json({ error: "Transcript not found" });
+    res.json({ revision: currentRevision(transcript), revisions: listRevisions(transcript) });
+  } catch (error) {
+    sendEditError(res, error, 'Revision list');
+  }
+});
+
+// Segments and text as they were at a revision
+app.get('/api/transcripts/:id/revisions/:revision', requireApiKey(), async (req, res) => {
+  try {
+    const transcript = await findOwnTranscript(req);
+    if (!transcript) return res.status(404).json({ error: "Transcript not found" });
+    const segments = segmentsAtRevision(transcript, req.params.revision);
+    res.json({ revision: Number(req.params.revision), text: segmentsToText(segments), segments });
+  } catch (error) {
+    sendEditError(res, error, 'Revision read');
+  }
+});
+
+// Changes between two revisions. Query: from (default: the previous revision), to (default: the latest)
+app.get('/api/transcripts/:id/diff', requireApiKey(), async (req, res) => {
+  try {
+    const transcript = await findOwnTranscript(req);
+    if (!transcript) return res.status(404).json({ error: "Transcript not found" });
+    const to = req.query.to !== undefined ? Number(req.query.to) : currentRevision(transcript);
+    const from = req.query.from !== undefined ? Number(req.query.from) : Math.max(1, to - 1);
+    res.json({ from, to, hunks: diffRevisions(transcript, from, to) });
+  } catch (error) {
+    sendEditError(res, error, 'Diff');
+  }
+});
+
+// The saved vocabulary named by req.params.id if it belongs to the caller, else null
+async function findOwnVocabulary(req) {
+  const vocabulary = await getVocabularyRepository().get(req.params.id);
+  return isOwnedBy(vocabulary, req) ? vocabulary : null;
+}
+
+// Saved vocabularies, reusable with vocabularyId on /api/transcribe and the export routes.
+// Body: { name, prompt?, terms?, replacements? } where replacements are [{ find, replace, wholeWord? }]
+app.get('/api/vocabularies', requireApiKey(), async (req, res) => {
+  try {
+    res.json({ vocabularies: await getVocabularyRepository().list({ owner: ownerOf(req) }) });
+  } catch (error) {
+    console.error("Vocabulary list error:", error);
+    res.status(500).json({ error: "Could not list vocabularies" });
+  }
+});
+
+app.post('/api/vocabularies', requireApiKey(), async (req, res) => {
+  try {
+    const vocabulary = await getVocabularyRepository().create({ ...parseVocabulary(req.body, { requireName: true }), owner: ownerOf(req) });
+    res.status(201).json(vocabulary);
+  } catch (error) {
+    if (error.code === 'INVALID_VOCABULARY') return res.status(400).json({ error: error.message });
+    console.error("Vocabulary create error:", error);
+    res.status(500).json({ error: "Could not save vocabulary" });
+  }
+});
+
+app.get('/api/vocabularies/:id', requireApiKey(), async (req, res) => {
+  try {
+    const vocabulary = await findOwnVocabulary(req);
+    if (!vocabulary) return res.status(404).json({ error: "Vocabulary not found" });
+    res.json(vocabulary);
+  } catch (error) {
+    console.error("Vocabulary read error:", error);
+    res.status(500).json({ error: "Could not read vocabulary" });
+  }
+});
+
+// Replaces the vocabulary; fields left out are cleared
+app.put('/api/vocabularies/:id', requireApiKey(), async (req, res) => {
+  try {
+    const fields = parseVocabulary(req.body, { requireName: true });
+    if (!await findOwnVocabulary(req)) return res.status(404).json({ error: "Vocabulary not found" });
+    const vocabulary = await getVocabularyRepository().update(req.params.id, fields);
+    if (!vocabulary) return res.status(404).json({ error: "Vocabulary not found" });
+    res.json(vocabulary);
+  } catch (error) {
+    if (error.code === 'INVALID_VOCABULARY') return res.status(400).json({ error: error.message });
+    console.error("Vocabulary update error:", error);
+    res.status(500).json({ error: "Could not update vocabulary" });
+  }
+});
+
+app.delete('/api/vocabularies/:id', requireApiKey(), async (req, res) => {
+  try {
+    if (!await findOwnVocabulary(req) || !await getVocabularyRepository().remove(req.params.id)) return res.status(404).json({ error: "Vocabulary not found" });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Vocabulary delete error:", error);
+    res.status(500).json({ error: "Could not delete vocabulary" });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Liveness: the process is up and serving requests. Missing tools don't fail it; restarting wouldn't help.
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'live', uptimeSeconds: Math.round(process.uptime()), timestamp: new Date().toISOString() });
+});
+
+// Readiness: 200 when ffmpeg, whisper and the default model are installed and the binaries run, else 503
+// with the failing checks. A 503 means the next transcription would first install the missing tools.
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, checkedAt, checks } = await checkReadiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checkedAt, checks, queue: getQueueStats() });
+  } catch (error) {
+    console.error("Readiness check error:", error);
+    res.status(503).json({ status: 'not_ready', error: error.message });
+  }
+});
+
+// Binary versions and checks, whisper CPU features, installed models with hashes, free disk and the queue (admin)
+app.get('/api/diagnostics', requireAdmin, async (req, res) => {
+  try {
+    res.json(await collectDiagnostics({
+      directories: { uploads: UPLOADS_DIR, temp: TEMP_DIR, outputs: OUTPUTS_DIR },
+      queue: getQueueStats()
+    }));
+  } catch (error) {
+    console.error("Diagnostics error:", error);
+    res.status(500).json({ error: "Could not collect diagnostics" });
+  }
+});
+
+// API key usage is saved a few seconds after it changes; write what is pending before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    getApiKeyRepository().flush()
+      .catch(error => console.error('Could not save API key usage:', error.message))
+      .finally(() => process.exit(0));
+  });
+}
+
 initializeDirectories().then(() => {
   app.listen(PORT, () => {
     console.log(`Backend server running on port ${PORT}`);
-    console.log(`Health check available at http://localhost:${PORT}/health`);
+    console.log(`Health checks available at http://localhost:${PORT}/health/live and /health/ready`);
+    if (!REQUIRE_API_KEY) console.warn('⚠️  REQUIRE_API_KEY=0: transcribe, export, job, transcript and vocabulary routes accept requests without an API key');
   });
 }).catch(err => {
   console.error('Failed to initialize directories:', err);
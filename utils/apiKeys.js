@@ -0,0 +1,308 @@
+// API keys for the transcribe and export routes. Keys are shown once when created and stored only as
+// SHA-256 hashes, together with each key's limits and monthly usage, in one JSON file (API_KEYS_FILE).
+// Keys are random 32-byte values, so a plain hash is enough: there is nothing to brute-force.
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const DEFAULT_API_KEYS_FILE = path.join(process.cwd(), 'data', 'api-keys.json');
+const KEY_PREFIX = 'vx_';
+// Characters of the key kept in clear, so a key can be recognised in listings
+const VISIBLE_KEY_CHARS = 8;
+const MAX_NAME_LENGTH = 100;
+// Defaults for keys without their own limits: requests per minute, audio minutes per calendar month (0 = unlimited)
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT, 10) || 60;
+const DEFAULT_MONTHLY_MINUTES = parseInt(process.env.API_MONTHLY_MINUTES, 10) || 0;
+const RATE_WINDOW_MS = 60 * 1000;
+// Usage counters change on every request, so they are written out at most this often (and on flush())
+const USAGE_SAVE_DELAY_MS = parseInt(process.env.API_USAGE_SAVE_DELAY_MS, 10) || 5000;
+
+function apiKeyError(message, code = 'INVALID_API_KEY_INPUT') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const hashKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Usage is counted per UTC calendar month ("2026-10")
+const usageMonth = (date = new Date()) => date.toISOString().slice(0, 7);
+
+function readLimit(value, name) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw apiKeyError(`${name} must be a non-negative integer (or null for the default)`);
+  return number;
+}
+
+/**
+ * Validates admin input for a key: { name, rateLimit, monthlyMinutes }. Limits left null use
+ * API_RATE_LIMIT / API_MONTHLY_MINUTES; monthlyMinutes 0 means unlimited.
+ */
+function parseKeyFields(body = {}, { requireName = false } = {}) {
+  const fields = {};
+  if (requireName || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+      throw apiKeyError(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    fields.name = body.name.trim();
+  }
+  const rateLimit = readLimit(body.rateLimit, 'rateLimit');
+  if (rateLimit === 0) throw apiKeyError('rateLimit must be at least 1');
+  if (rateLimit !== undefined) fields.rateLimit = rateLimit;
+  const monthlyMinutes = readLimit(body.monthlyMinutes, 'monthlyMinutes');
+  if (monthlyMinutes !== undefined) fields.monthlyMinutes = monthlyMinutes;
+  return fields;
+}
+
+// The limits that apply to a key
+function keyLimits(key) {
+  return {
+    rateLimit: key.rateLimit || DEFAULT_RATE_LIMIT,
+    monthlyMinutes: key.monthlyMinutes ?? DEFAULT_MONTHLY_MINUTES
+  };
+}
+
+function monthUsage(key, month = usageMonth()) {
+  return { requests: 0, transcriptions: 0, exports: 0, audioSeconds: 0, ...(key.usage && key.usage[month]) };
+}
+
+// Audio seconds left this month after reservedSeconds held by unfinished transcriptions, or Infinity without a quota
+function remainingAudioSeconds(key, reservedSeconds = 0) {
+  const { monthlyMinutes } = keyLimits(key);
+  if (!monthlyMinutes) return Infinity;
+  return Math.max(0, monthlyMinutes * 60 - monthUsage(key).audioSeconds - reservedSeconds);
+}
+
+/**
+ * Usage report for one key and month: counters, the key's limits and the audio minutes left.
+ */
+function describeUsage(key, month = usageMonth()) {
+  const usage = monthUsage(key, month);
+  const limits = keyLimits(key);
+  return {
+    key: { id: key.id, name: key.name, prefix: key.prefix },
+    month,
+    requests: usage.requests,
+    transcriptions: usage.transcriptions,
+    exports: usage.exports,
+    audioMinutes: Math.round(usage.audioSeconds / 60 * 100) / 100,
+    limits,
+    remainingMinutes: limits.monthlyMinutes
+      ? Math.max(0, Math.round((limits.monthlyMinutes * 60 - usage.audioSeconds) / 60 * 100) / 100)
+      : null
+  };
+}
+
+// Key record without its hash
+function publicKey({ hash, ...key }) {
+  return { ...key, limits: keyLimits(key) };
+}
+
+/**
+ * File-backed key store ({ init, list, get, findByKey, create, update, revoke, recordUsage,
+ * reservedAudioSeconds, reserveAudio, flush }). Saves are coalesced: changes made while the file is
+ * being written go out in the next write. Usage is saved USAGE_SAVE_DELAY_MS after it changes, so
+ * call flush() before the process exits.
+ */
+function createFileRepository(file = process.env.API_KEYS_FILE || DEFAULT_API_KEYS_FILE) {
+  const keys = new Map();
+  const byHash = new Map();
+  // Key ID -> audio seconds held by queued and running transcriptions; kept in memory only
+  const reservations = new Map();
+  let writing = null;
+  let dirty = false;
+  let usageTimer = null;
+
+  const index = key => {
+    keys.set(key.id, key);
+    byHash.set(key.hash, key.id);
+  };
+
+  const write = async () => {
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify([...keys.values()], null, 2), { mode: 0o600 });
+    await fs.rename(temporary, file);
+  };
+
+  const save = () => {
+    if (writing) {
+      dirty = true;
+      return writing;
+    }
+    writing = (async () => {
+      try {
+        do {
+          dirty = false;
+          await write();
+        } while (dirty);
+      } finally {
+        writing = null;
+      }
+    })();
+    return writing;
+  };
+
+  const saveUsageSoon = () => {
+    if (usageTimer) return;
+    usageTimer = setTimeout(() => {
+      usageTimer = null;
+      save().catch(error => console.error(`Could not save API key usage to ${file}:`, error.message));
+    }, USAGE_SAVE_DELAY_MS);
+    usageTimer.unref();
+  };
+
+  const repository = {
+    async init() {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      try {
+        for (const key of JSON.parse(await fs.readFile(file, 'utf8'))) index(key);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`Could not read API keys from ${file}: ${error.message}`);
+      }
+    },
+
+    async list() {
+      return [...keys.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    async get(id) {
+      return keys.get(id) || null;
+    },
+
+    // The active (not revoked) key matching a presented key, or null
+    async findByKey(presented) {
+      const key = keys.get(byHash.get(hashKey(presented)));
+      return key && !key.revokedAt ? key : null;
+    },
+
+    // Returns { key, apiKey } where apiKey is the only copy of the clear-text key
+    async create(fields) {
+      const apiKey = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+      const key = {
+        id: crypto.randomUUID(),
+        name: fields.name,
+        prefix: apiKey.slice(0, KEY_PREFIX.length + VISIBLE_KEY_CHARS),
+        hash: hashKey(apiKey),
+        rateLimit: fields.rateLimit ?? null,
+        monthlyMinutes: fields.monthlyMinutes ?? null,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null,
+        usage: {}
+      };
+      index(key);
+      await save();
+      return { key, apiKey };
+    },
+
+    async update(id, fields) {
+      const key = keys.get(id);
+      if (!key) return null;
+      Object.assign(key, fields);
+      await save();
+      return key;
+    },
+
+    // Revoked keys stay listed with their usage but no longer authenticate
+    async revoke(id) {
+      const key = keys.get(id);
+      if (!key) return null;
+      if (!key.revokedAt) key.revokedAt = new Date().toISOString();
+      await save();
+      return key;
+    },
+
+    // Adds counts ({ requests, transcriptions, exports, audioSeconds }) to this month's usage
+    async recordUsage(id, counts) {
+      const key = keys.get(id);
+      if (!key) return;
+      const month = usageMonth();
+      const usage = monthUsage(key, month);
+      for (const [name, count] of Object.entries(counts)) usage[name] += count;
+      key.usage = { ...key.usage, [month]: usage };
+      key.lastUsedAt = new Date().toISOString();
+      saveUsageSoon();
+    },
+
+    reservedAudioSeconds(id) {
+      return reservations.get(id) || 0;
+    },
+
+    /**
+     * Holds seconds of the key's audio quota for a transcription until its length is known, so parallel
+     * requests can't together go past the quota. Check and hold happen without yielding, so callers
+     * should check remainingAudioSeconds(key, reservedAudioSeconds(id)) right before. Returns
+     * settle(seconds), which drops the hold and adds the real length (0 for failed or cancelled jobs)
+     * to the usage; only its first call counts.
+     */
+    reserveAudio(id, seconds) {
+      reservations.set(id, (reservations.get(id) || 0) + seconds);
+      let settled = false;
+      return async actualSeconds => {
+        if (settled) return;
+        settled = true;
+        const left = (reservations.get(id) || 0) - seconds;
+        if (left > 0) reservations.set(id, left);
+        else reservations.delete(id);
+        if (actualSeconds > 0) await repository.recordUsage(id, { audioSeconds: actualSeconds });
+      };
+    },
+
+    // Writes pending usage changes now
+    async flush() {
+      clearTimeout(usageTimer);
+      usageTimer = null;
+      await save();
+    }
+  };
+  return repository;
+}
+
+let repository = null;
+
+function getApiKeyRepository() {
+  if (!repository) repository = createFileRepository();
+  return repository;
+}
+
+function setApiKeyRepository(implementation) {
+  repository = implementation;
+}
+
+/**
+ * Fixed-window request limiter: take(id, limit) counts a request for id and returns
+ * { allowed, limit, remaining, retryAfter } (retryAfter in seconds, when not allowed).
+ */
+function createRateLimiter(windowMs = RATE_WINDOW_MS) {
+  const windows = new Map();
+  return {
+    take(id, limit) {
+      const now = Date.now();
+      let window = windows.get(id);
+      if (!window || now - window.start >= windowMs) {
+        window = { start: now, count: 0 };
+        windows.set(id, window);
+      }
+      const retryAfter = Math.ceil((window.start + windowMs - now) / 1000);
+      if (window.count >= limit) return { allowed: false, limit, remaining: 0, retryAfter };
+      window.count++;
+      return { allowed: true, limit, remaining: limit - window.count, retryAfter };
+    }
+  };
+}
+
+module.exports = {
+  hashKey,
+  usageMonth,
+  parseKeyFields,
+  keyLimits,
+  remainingAudioSeconds,
+  describeUsage,
+  publicKey,
+  createFileRepository,
+  getApiKeyRepository,
+  setApiKeyRepository,
+  createRateLimiter
+};
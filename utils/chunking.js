@@ -0,0 +1,184 @@
+// Splitting long recordings into overlapping chunks that are transcribed separately.
+// Chunk boundaries are moved to the nearest silence when there is one close by.
+const fs = require('fs').promises;
+const { runProcess, runProcessChecked } = require('./processRunner');
+
+// Recordings longer than CHUNK_SECONDS * 1.5 are split (0 disables chunking)
+const chunkSetting = parseInt(process.env.CHUNK_SECONDS, 10);
+const CHUNK_SECONDS = Number.isNaN(chunkSetting) ? 600 : Math.max(0, chunkSetting);
+// Audio shared by neighbouring chunks, so words cut at a boundary are heard whole by one of them
+const CHUNK_OVERLAP_SECONDS = Math.max(0, parseFloat(process.env.CHUNK_OVERLAP_SECONDS) || 5);
+// Whisper processes run in parallel for one job
+const CHUNK_WORKERS = Math.max(1, parseInt(process.env.CHUNK_WORKERS, 10) || 2);
+// How far from the nominal boundary to look for a silence
+const SILENCE_SEARCH_SECONDS = 30;
+// silencedetect defaults: quieter than -35 dB for at least 0.4 s
+const SILENCE_NOISE_DB = -35;
+const SILENCE_MIN_SECONDS = 0.4;
+const SILENCE_TIMEOUT_MS = 10 * 60 * 1000;
+const SPLIT_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Reads the layout of a PCM WAV written by the conversion step:
+ * { channels, sampleRate, bytesPerSecond, dataOffset, dataBytes }.
+ * ffmpeg adds a LIST chunk before the samples, so the data chunk is looked up rather than assumed at byte 44.
+ * Without a readable header, 16 kHz mono 16-bit PCM after a 44-byte header is assumed.
+ */
+async function readWavHeader(wavPath) {
+  const handle = await fs.open(wavPath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const header = Buffer.alloc(Math.min(size, 4096));
+    await handle.read(header, 0, header.length, 0);
+    const wav = { channels: 1, sampleRate: 16000, bytesPerSecond: 32000, dataOffset: 44, dataBytes: Math.max(0, size - 44) };
+    const isWav = header.length >= 12 && header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WAVE';
+    let offset = isWav ? 12 : header.length;
+    while (offset + 8 <= header.length) {
+      const id = header.toString('latin1', offset, offset + 4);
+      const chunkSize = header.readUInt32LE(offset + 4);
+      if (id === 'fmt ') {
+        wav.channels = header.readUInt16LE(offset + 10);
+        wav.sampleRate = header.readUInt32LE(offset + 12);
+        wav.bytesPerSecond = header.readUInt32LE(offset + 16);
+      } else if (id === 'data') {
+        wav.dataOffset = offset + 8;
+        // Streamed WAVs can carry a placeholder size; the file length is authoritative
+        wav.dataBytes = Math.min(chunkSize, size - wav.dataOffset);
+        break;
+      }
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+    return wav;
+  } finally {
+    await handle.close();
+  }
+}
+
+async function getWavDuration(wavPath) {
+  const { dataBytes, bytesPerSecond } = await readWavHeader(wavPath);
+  return dataBytes / bytesPerSecond;
+}
+
+function shouldChunk(duration) {
+  return CHUNK_SECONDS > 0 && duration > CHUNK_SECONDS * 1.5;
+}
+
+// "[silencedetect @ 0x..] silence_start: 12.3" / "silence_end: 13.1 | silence_duration: 0.8"
+function parseSilenceOutput(output) {
+  const silences = [];
+  let start = null;
+  for (const line of output.split(/\r?\n/)) {
+    const startMatch = /silence_start: (-?[\d.]+)/.exec(line);
+    if (startMatch) start = Math.max(0, parseFloat(startMatch[1]));
+    const endMatch = /silence_end: ([\d.]+)/.exec(line);
+    if (endMatch && start !== null) {
+      silences.push({ start, end: parseFloat(endMatch[1]) });
+      start = null;
+    }
+  }
+  return silences;
+}
+
+// Silent stretches of a file as [{ start, end }] in seconds, found with ffmpeg's silencedetect filter
+async function detectSilences(ffmpegPath, wavPath, { signal, noiseDb = SILENCE_NOISE_DB, minSeconds = SILENCE_MIN_SECONDS } = {}) {
+  const filter = `silencedetect=noise=${noiseDb}dB:d=${minSeconds}`;
+  const result = await runProcess(ffmpegPath, ['-hide_banner', '-nostats', '-i', wavPath, '-af', filter, '-f', 'null', '-'], {
+    label: 'Detecting silences',
+    signal,
+    timeoutMs: SILENCE_TIMEOUT_MS,
+    maxOutputBytes: 50 * 1024 * 1024
+  });
+  return parseSilenceOutput(result.stderr);
+}
+
+/**
+ * Splits [0, duration] (seconds) into chunks of about CHUNK_SECONDS. Each boundary moves to the middle
+ * of the silence nearest to it, if one lies within SILENCE_SEARCH_SECONDS. Returns
+ * [{ start, end, ownStart, ownEnd }]: start/end include the overlap with the neighbours, ownStart/ownEnd
+ * is the part of the recording this chunk's segments are kept for when stitching.
+ */
+function planChunks(duration, silences = []) {
+  const boundaries = [0];
+  let nominal = CHUNK_SECONDS;
+  while (nominal < duration - CHUNK_SECONDS / 2) {
+    const candidates = silences
+      .map(silence => (silence.start + silence.end) / 2)
+      .filter(mid => Math.abs(mid - nominal) <= SILENCE_SEARCH_SECONDS && mid > boundaries[boundaries.length - 1] + CHUNK_SECONDS / 2);
+    const boundary = candidates.length > 0
+      ? candidates.reduce((best, mid) => (Math.abs(mid - nominal) < Math.abs(best - nominal) ? mid : best))
+      : nominal;
+    boundaries.push(boundary);
+    nominal = boundary + CHUNK_SECONDS;
+  }
+  boundaries.push(duration);
+
+  const chunks = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    chunks.push({
+      start: Math.max(0, boundaries[i] - CHUNK_OVERLAP_SECONDS),
+      end: Math.min(duration, boundaries[i + 1] + CHUNK_OVERLAP_SECONDS),
+      ownStart: boundaries[i],
+      ownEnd: boundaries[i + 1]
+    });
+  }
+  return chunks;
+}
+
+// Cuts [start, end] out of the converted WAV without re-encoding
+function extractChunk(ffmpegPath, wavPath, chunkPath, { start, end }, { signal } = {}) {
+  return runProcessChecked(ffmpegPath, [
+    '-hide_banner', '-y', '-ss', start.toFixed(3), '-t', (end - start).toFixed(3), '-i', wavPath, '-c', 'copy', chunkPath
+  ], { label: `Extracting chunk ${start.toFixed(1)}s-${end.toFixed(1)}s`, signal, timeoutMs: SPLIT_TIMEOUT_MS });
+}
+
+/**
+ * Runs fn(item, index, signal) for every item with at most `limit` calls in flight, keeping result order.
+ * signal is a child of options.signal that is also aborted on the first failure: no new items are
+ * started, the calls still running are cancelled, and once all of them have settled the first error
+ * is rethrown.
+ */
+async function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+  const controller = new AbortController();
+  const abortWithParent = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) abortWithParent();
+    else signal.addEventListener('abort', abortWithParent, { once: true });
+  }
+
+  const results = new Array(items.length);
+  let next = 0;
+  let firstError = null;
+  const worker = async () => {
+    while (!controller.signal.aborted && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index, controller.signal);
+      } catch (error) {
+        if (!firstError) firstError = error;
+        controller.abort(error);
+      }
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  } finally {
+    if (signal) signal.removeEventListener('abort', abortWithParent);
+  }
+  if (firstError) throw firstError;
+  if (signal) signal.throwIfAborted();
+  return results;
+}
+
+module.exports = {
+  CHUNK_SECONDS,
+  CHUNK_OVERLAP_SECONDS,
+  CHUNK_WORKERS,
+  readWavHeader,
+  getWavDuration,
+  shouldChunk,
+  parseSilenceOutput,
+  detectSilences,
+  planChunks,
+  extractChunk,
+  mapWithConcurrency
+};
@@ -0,0 +1,262 @@
+// Health checks for orchestrators and a diagnostics report for admins. The server is ready when a
+// transcription could start right away: ffmpeg, whisper and the default model are installed (so no
+// install would run on the next request) and both binaries actually execute. Binary checks are cached
+// for HEALTH_CHECK_TTL_MS, since orchestrators probe every few seconds.
+const path = require('path');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const os = require('os');
+const { isFFmpegInstalledSync, getFFmpegPath } = require('./ffmpegInstaller');
+const { isWhisperInstalledSync, getWhisperBinaryPath } = require('./whisperInstaller');
+const { DEFAULT_MODEL, getModelPath, isModelInstalledSync, listModels } = require('./modelRegistry');
+const { WHISPER_VERSION } = require('../constants/downloadManifest');
+const { hashFile } = require('./downloader');
+const { runProcess } = require('./processRunner');
+const { parseSystemInfo } = require('./whisperOutput');
+
+const HEALTH_CHECK_TTL_MS = Math.max(0, parseInt(process.env.HEALTH_CHECK_TTL_MS, 10) || 30 * 1000);
+const BINARY_CHECK_TIMEOUT_MS = 10000;
+// Loading even the smallest model and decoding a second of silence takes a few seconds on slow machines
+const SYSTEM_INFO_TIMEOUT_MS = 60000;
+
+let readiness = null;
+let whisperSystemInfo = null;
+let systemInfoProbe = null;
+// Model hashes by algorithm and path, reused while the file's size and modification time are unchanged
+const modelHashes = new Map();
+
+/**
+ * Runs a binary with a harmless argument (ffmpeg -version, whisper --help) and returns
+ * { runs, exitCode, durationMs, output, error }. Both exit 0 when they work.
+ */
+async function checkBinary(command, args) {
+  try {
+    const result = await runProcess(command, args, { timeoutMs: BINARY_CHECK_TIMEOUT_MS, maxOutputBytes: 64 * 1024 });
+    const output = result.stdout || result.stderr;
+    let error = null;
+    if (result.timedOut) error = `No exit within ${BINARY_CHECK_TIMEOUT_MS}ms`;
+    else if (result.exitCode !== 0) error = `Exited with ${result.exitCode ?? result.signal}: ${result.stderr.trim().split('\n').pop() || 'no output'}`;
+    return { runs: !error, exitCode: result.exitCode, durationMs: result.durationMs, output, error };
+  } catch (error) {
+    return { runs: false, exitCode: null, durationMs: null, output: '', error: error.message };
+  }
+}
+
+async function runReadinessChecks() {
+  const ffmpegPath = getFFmpegPath();
+  const whisperPath = getWhisperBinaryPath();
+  const ffmpeg = { path: ffmpegPath, installed: isFFmpegInstalledSync(), runs: false, version: null, error: null };
+  const whisper = { path: whisperPath, installed: isWhisperInstalledSync(), runs: false, error: null };
+  if (ffmpeg.installed) {
+    const { output, ...check } = await checkBinary(ffmpegPath, ['-version']);
+    const version = /ffmpeg version (\S+)/.exec(output);
+    Object.assign(ffmpeg, check, { version: version ? version[1] : null });
+  } else {
+    ffmpeg.error = 'Not installed; it would be installed on the next transcription';
+  }
+  if (whisper.installed) {
+    const { output, ...check } = await checkBinary(whisperPath, ['--help']);
+    Object.assign(whisper, check);
+  } else {
+    whisper.error = 'Not installed; it would be installed on the next transcription';
+  }
+  const model = { name: DEFAULT_MODEL, installed: isModelInstalledSync(DEFAULT_MODEL) };
+
+  return {
+    ready: ffmpeg.runs && whisper.runs && model.installed,
+    checkedAt: new Date().toISOString(),
+    checks: { ffmpeg, whisper, model }
+  };
+}
+
+/**
+ * Readiness report: { ready, checkedAt, checks: { ffmpeg, whisper, model } }. Results are reused for
+ * HEALTH_CHECK_TTL_MS unless fresh is set; concurrent calls share one run.
+ */
+function checkReadiness({ fresh = false } = {}) {
+  const now = Date.now();
+  if (!readiness || fresh || now - readiness.at > HEALTH_CHECK_TTL_MS) {
+    const run = runReadinessChecks();
+    readiness = { at: now, run };
+    run.catch(() => { if (readiness && readiness.run === run) readiness = null; });
+  }
+  return readiness.run;
+}
+
+// Keeps whisper's system_info line from a transcription, since --help doesn't print it
+function recordWhisperOutput(output) {
+  const info = parseSystemInfo(output);
+  if (info) whisperSystemInfo = { ...info, source: 'transcription', seenAt: new Date().toISOString() };
+}
+
+// One second of silence as a 16 kHz mono 16-bit WAV, the input format whisper expects
+function silentWav(sampleRate = 16000) {
+  const dataBytes = sampleRate * 2;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return Buffer.concat([header, Buffer.alloc(dataBytes)]);
+}
+
+// Runs whisper over a second of silence with the smallest installed model and returns its system_info
+async function probeSystemInfo() {
+  const [smallest] = listModels().filter(model => model.installed).sort((a, b) => a.installedBytes - b.installedBytes);
+  if (!smallest) throw new Error('No model is installed to run whisper with');
+  const wavPath = path.join(os.tmpdir(), `voxcribe-system-info-${process.pid}.wav`);
+  await fsPromises.writeFile(wavPath, silentWav());
+  try {
+    const result = await runProcess(getWhisperBinaryPath(), ['-m', getModelPath(smallest.name), '-f', wavPath, '-t', '1'], {
+      timeoutMs: SYSTEM_INFO_TIMEOUT_MS,
+      maxOutputBytes: 64 * 1024
+    });
+    const info = parseSystemInfo(`${result.stdout}\n${result.stderr}`);
+    if (!info) throw new Error(result.timedOut ? `No exit within ${SYSTEM_INFO_TIMEOUT_MS}ms` : 'whisper printed no system_info line');
+    return info;
+  } finally {
+    await fsPromises.unlink(wavPath).catch(() => {});
+  }
+}
+
+/**
+ * The features whisper was built with and found on this CPU: from the last transcription, else from a
+ * probe run that is made once and cached. A failed probe returns { error } and is retried next time.
+ */
+function whisperSystemInfoReport() {
+  if (whisperSystemInfo) return whisperSystemInfo;
+  if (!systemInfoProbe) {
+    systemInfoProbe = probeSystemInfo()
+      .then(info => {
+        whisperSystemInfo = { ...info, source: 'probe', seenAt: new Date().toISOString() };
+        return whisperSystemInfo;
+      })
+      .catch(error => ({ error: error.message }))
+      .finally(() => { systemInfoProbe = null; });
+  }
+  return systemInfoProbe;
+}
+
+// Host CPU model and its SIMD flags as the kernel lists them in /proc/cpuinfo (Linux only). These are
+// what the machine offers; whisper's systemInfo shows what its build actually uses.
+function hostCpuInfo() {
+  const cpus = os.cpus();
+  const info = { model: cpus.length ? cpus[0].model : null, cores: cpus.length, arch: os.arch(), flags: null };
+  try {
+    const flags = /^flags\s*:(.*)$/m.exec(fs.readFileSync('/proc/cpuinfo', 'utf8'));
+    if (flags) {
+      const present = new Set(flags[1].trim().split(/\s+/));
+      info.flags = {
+        AVX: present.has('avx'),
+        AVX2: present.has('avx2'),
+        AVX512: present.has('avx512f'),
+        FMA: present.has('fma'),
+        F16C: present.has('f16c')
+      };
+    }
+  } catch {}
+  return info;
+}
+
+async function hashModel(filePath, { size, mtimeMs }, algorithm) {
+  const key = `${algorithm}:${filePath}`;
+  const cached = modelHashes.get(key);
+  if (cached && cached.size === size && cached.mtimeMs === mtimeMs) return cached.digest;
+  const digest = await hashFile(filePath, algorithm);
+  modelHashes.set(key, { size, mtimeMs, digest });
+  return digest;
+}
+
+// Installed models with their size, SHA-1 and (when the registry pins one) SHA-256, checked against the
+// registry's checksums where it has them
+async function describeInstalledModels() {
+  const models = [];
+  for (const model of listModels().filter(entry => entry.installed)) {
+    const filePath = getModelPath(model.name);
+    const entry = {
+      name: model.name,
+      file: model.file,
+      path: filePath,
+      bytes: model.installedBytes,
+      sha1: null,
+      expectedSha1: model.sha1,
+      sha256: null,
+      expectedSha256: model.sha256,
+      verified: null
+    };
+    try {
+      const stat = await fsPromises.stat(filePath);
+      entry.sha1 = await hashModel(filePath, stat, 'sha1');
+      if (model.sha256) entry.sha256 = await hashModel(filePath, stat, 'sha256');
+      const checks = [[entry.sha1, model.sha1], [entry.sha256, model.sha256]].filter(([, expected]) => expected);
+      entry.verified = checks.length ? checks.every(([actual, expected]) => actual === expected.toLowerCase()) : null;
+    } catch (error) {
+      entry.error = error.message;
+    }
+    models.push(entry);
+  }
+  return models;
+}
+
+// Free and total bytes on the file system holding each directory ({ name: path })
+async function describeDisks(directories) {
+  const disks = {};
+  for (const [name, dir] of Object.entries(directories)) {
+    try {
+      const stats = await fsPromises.statfs(dir);
+      disks[name] = { path: dir, freeBytes: stats.bavail * stats.bsize, totalBytes: stats.blocks * stats.bsize };
+    } catch (error) {
+      disks[name] = { path: dir, error: error.message };
+    }
+  }
+  return disks;
+}
+
+/**
+ * Full report for GET /api/diagnostics: binary checks with versions, whisper's system_info, the host
+ * CPU's flags, installed models with hashes, free disk space per directory and the queue. Always runs
+ * fresh binary checks.
+ */
+async function collectDiagnostics({ directories = {}, queue = null } = {}) {
+  const readinessReport = await checkReadiness({ fresh: true });
+  const { ffmpeg, whisper, model } = readinessReport.checks;
+  return {
+    ready: readinessReport.ready,
+    checkedAt: readinessReport.checkedAt,
+    ffmpeg,
+    whisper: {
+      ...whisper,
+      // whisper.cpp has no version flag; this is the release the installer fetches
+      installerVersion: WHISPER_VERSION,
+      // Reported by whisper itself (source: transcription or probe), or { error } when it couldn't run
+      systemInfo: whisper.runs ? await whisperSystemInfoReport() : { error: whisper.error }
+    },
+    defaultModel: model,
+    models: await describeInstalledModels(),
+    hostCpu: hostCpuInfo(),
+    disks: await describeDisks(directories),
+    queue,
+    process: {
+      node: process.version,
+      platform: os.platform(),
+      uptimeSeconds: Math.round(process.uptime()),
+      rssBytes: process.memoryUsage().rss,
+      freeMemoryBytes: os.freemem(),
+      loadAverage: os.loadavg()
+    }
+  };
+}
+
+module.exports = {
+  checkReadiness,
+  recordWhisperOutput,
+  collectDiagnostics
+};
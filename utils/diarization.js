@@ -0,0 +1,362 @@
+// Speaker labels for transcript segments. Three modes:
+//   stereo  - whisper.cpp --diarize: compares channel energy per segment (one speaker per channel)
+//   tdrz    - tinydiarize models (-tdrz): whisper marks speaker turns between segments
+//   cluster - CPU fallback: spectral features per segment, grouped by agglomerative clustering
+const fs = require('fs').promises;
+const { readWavHeader } = require('./chunking');
+
+const DIARIZATION_MODES = ['stereo', 'tdrz', 'cluster'];
+const MAX_SPEAKERS = 20;
+// Cosine distance under which two clusters are merged when the number of speakers isn't given
+const CLUSTER_THRESHOLD = parseFloat(process.env.DIARIZATION_THRESHOLD) || 0.6;
+// Segments shorter than this (seconds) are too short to describe a voice; they take a neighbour's label
+const MIN_CLUSTER_SECONDS = 0.5;
+// Frames analysed per segment at most, spread evenly across it
+const MAX_FRAMES_PER_SEGMENT = 200;
+// Segments clustered pairwise at most. Clustering takes cubic time in their number and runs on the
+// main thread, so longer recordings cluster representatives and assign the rest to the nearest cluster.
+const MAX_CLUSTER_VECTORS = 300;
+
+const FRAME_SIZE = 512;
+const MEL_BANDS = 24;
+const CEPSTRAL_COEFFICIENTS = 13;
+
+function invalidDiarization(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_DIARIZATION';
+  return err;
+}
+
+/**
+ * Reads the per-request diarize and speakers fields. diarize is a mode name, or true/"auto" for the
+ * best mode the model supports (tdrz for tinydiarize models, cluster otherwise). speakers is the
+ * expected number of speakers (cluster mode only; estimated when omitted).
+ * Returns null when diarization is off, else { mode, speakers }.
+ */
+function parseDiarizationOptions(diarize, speakers, model) {
+  if (diarize === undefined || diarize === null || diarize === '' || /^(false|0|no|off)$/i.test(String(diarize))) {
+    if (speakers !== undefined && speakers !== '') throw invalidDiarization('speakers can only be used with diarize');
+    return null;
+  }
+
+  let mode = String(diarize).toLowerCase();
+  if (diarize === true || ['true', '1', 'yes', 'auto'].includes(mode)) mode = model.tinydiarize ? 'tdrz' : 'cluster';
+  if (!DIARIZATION_MODES.includes(mode)) {
+    throw invalidDiarization(`diarize must be one of: ${DIARIZATION_MODES.join(', ')} (or true for automatic)`);
+  }
+  if (mode === 'tdrz' && !model.tinydiarize) {
+    throw invalidDiarization(`diarize=tdrz needs a tinydiarize model (such as small.en-tdrz); "${model.name}" isn't one.`);
+  }
+
+  let count = null;
+  if (speakers !== undefined && speakers !== '') {
+    count = Number(speakers);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SPEAKERS) {
+      throw invalidDiarization(`speakers must be an integer between 1 and ${MAX_SPEAKERS}`);
+    }
+    if (mode !== 'cluster') throw invalidDiarization('speakers can only be set for diarize=cluster');
+  }
+  return { mode, speakers: count };
+}
+
+const speakerLabel = index => `Speaker ${index + 1}`;
+
+// whisper --diarize writes "speaker": "0" / "1" (left / right channel louder) or "?" when unclear
+function labelStereoSpeakers(segments) {
+  return segments.map(segment => {
+    const { speaker, ...rest } = segment;
+    const channel = parseInt(speaker, 10);
+    return { ...rest, speaker: Number.isNaN(channel) ? null : speakerLabel(channel) };
+  });
+}
+
+// tinydiarize only marks where the speaker changes (speaker_turn_next on the segment before a turn),
+// not who speaks, so turns alternate between two labels
+function labelSpeakerTurns(segments) {
+  let current = 0;
+  return segments.map(segment => {
+    const { speaker_turn_next: turnNext, ...rest } = segment;
+    const labelled = { ...rest, speaker: speakerLabel(current) };
+    if (turnNext) current = 1 - current;
+    return labelled;
+  });
+}
+
+// In-place radix-2 FFT over real/imaginary arrays of a power-of-two length
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+// Triangular mel filters over the FFT bins, as [[bin, weight], ...] per band
+function melFilterBank(sampleRate) {
+  const toMel = hz => 2595 * Math.log10(1 + hz / 700);
+  const toHz = mel => 700 * (10 ** (mel / 2595) - 1);
+  const maxMel = toMel(sampleRate / 2);
+  const edges = Array.from({ length: MEL_BANDS + 2 }, (_, i) =>
+    Math.floor((FRAME_SIZE + 1) * toHz(maxMel * i / (MEL_BANDS + 1)) / sampleRate));
+
+  return Array.from({ length: MEL_BANDS }, (_, band) => {
+    const [low, center, high] = [edges[band], edges[band + 1], edges[band + 2]];
+    const weights = [];
+    for (let bin = low; bin < high; bin++) {
+      const weight = bin < center ? (bin - low) / Math.max(1, center - low) : (high - bin) / Math.max(1, high - center);
+      if (weight > 0) weights.push([bin, weight]);
+    }
+    return weights;
+  });
+}
+
+const HANN = Float64Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)));
+
+// MFCCs of one frame of samples (-1..1)
+function frameCepstrum(samples, filters) {
+  const re = Float64Array.from(samples, (sample, i) => sample * HANN[i]);
+  const im = new Float64Array(FRAME_SIZE);
+  fft(re, im);
+  const energies = filters.map(weights =>
+    Math.log(1e-10 + weights.reduce((sum, [bin, weight]) => sum + weight * (re[bin] ** 2 + im[bin] ** 2), 0)));
+  // DCT-II of the log mel energies; coefficient 0 (overall loudness) is skipped
+  const coefficients = [];
+  for (let k = 1; k <= CEPSTRAL_COEFFICIENTS; k++) {
+    coefficients.push(energies.reduce((sum, energy, band) => sum + energy * Math.cos(Math.PI * k * (band + 0.5) / MEL_BANDS), 0));
+  }
+  return coefficients;
+}
+
+/**
+ * Voice features of one segment of a 16-bit mono WAV: mean and standard deviation of its MFCCs.
+ * Returns null when the segment has too little audio.
+ */
+async function segmentFeatures(handle, wav, filters, { from, to }) {
+  const bytesPerFrame = FRAME_SIZE * 2;
+  const startByte = Math.floor(from / 1000 * wav.sampleRate) * 2;
+  const endByte = Math.min(wav.dataBytes, Math.floor(to / 1000 * wav.sampleRate) * 2);
+  const frameCount = Math.floor((endByte - startByte) / bytesPerFrame);
+  if (frameCount < 1) return null;
+
+  const step = Math.max(1, Math.floor(frameCount / MAX_FRAMES_PER_SEGMENT));
+  const buffer = Buffer.alloc(bytesPerFrame);
+  const frames = [];
+  for (let i = 0; i < frameCount; i += step) {
+    const { bytesRead } = await handle.read(buffer, 0, bytesPerFrame, wav.dataOffset + startByte + i * bytesPerFrame);
+    if (bytesRead < bytesPerFrame) break;
+    const samples = Array.from({ length: FRAME_SIZE }, (_, s) => buffer.readInt16LE(s * 2) / 32768);
+    frames.push(frameCepstrum(samples, filters));
+  }
+  if (frames.length === 0) return null;
+
+  const mean = frames[0].map((_, k) => frames.reduce((sum, frame) => sum + frame[k], 0) / frames.length);
+  const std = mean.map((m, k) => Math.sqrt(frames.reduce((sum, frame) => sum + (frame[k] - m) ** 2, 0) / frames.length));
+  return [...mean, ...std];
+}
+
+function cosineDistance(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return 1 - dot / (Math.sqrt(normA * normB) || 1);
+}
+
+/**
+ * Average-linkage agglomerative clustering of feature vectors. Stops at `count` clusters, or, without
+ * a count, once the closest clusters are further apart than CLUSTER_THRESHOLD.
+ * Returns a cluster index per vector.
+ */
+function clusterVectors(vectors, count) {
+  const clusters = vectors.map((_, i) => [i]);
+  const distances = vectors.map(a => vectors.map(b => cosineDistance(a, b)));
+  const active = vectors.map(() => true);
+  let remaining = vectors.length;
+
+  while (remaining > (count || 1)) {
+    let best = null;
+    for (let i = 0; i < vectors.length; i++) {
+      if (!active[i]) continue;
+      for (let j = i + 1; j < vectors.length; j++) {
+        if (active[j] && (!best || distances[i][j] < best.distance)) best = { i, j, distance: distances[i][j] };
+      }
+    }
+    if (!count && best.distance > CLUSTER_THRESHOLD) break;
+
+    // Lance-Williams update for average linkage
+    const { i, j } = best;
+    const [sizeI, sizeJ] = [clusters[i].length, clusters[j].length];
+    for (let k = 0; k < vectors.length; k++) {
+      if (!active[k] || k === i || k === j) continue;
+      const distance = (distances[i][k] * sizeI + distances[j][k] * sizeJ) / (sizeI + sizeJ);
+      distances[i][k] = distance;
+      distances[k][i] = distance;
+    }
+    clusters[i].push(...clusters[j]);
+    active[j] = false;
+    remaining--;
+  }
+
+  const assignment = new Array(vectors.length);
+  clusters.filter((_, i) => active[i]).forEach((members, cluster) => {
+    members.forEach(member => { assignment[member] = cluster; });
+  });
+  return assignment;
+}
+
+/**
+ * Cluster index per vector, like clusterVectors, in bounded time: with more than MAX_CLUSTER_VECTORS,
+ * evenly spaced representatives are clustered and every vector joins the cluster with the nearest centroid.
+ */
+function clusterManyVectors(vectors, count) {
+  if (vectors.length <= MAX_CLUSTER_VECTORS) return clusterVectors(vectors, count);
+
+  const step = vectors.length / MAX_CLUSTER_VECTORS;
+  const representatives = Array.from({ length: MAX_CLUSTER_VECTORS }, (_, i) => vectors[Math.floor(i * step)]);
+  const sums = [];
+  clusterVectors(representatives, count).forEach((cluster, i) => {
+    if (!sums[cluster]) sums[cluster] = new Array(vectors[0].length).fill(0);
+    representatives[i].forEach((value, d) => { sums[cluster][d] += value; });
+  });
+  // Cosine distance ignores length, so the sums serve as centroids
+  return vectors.map(vector => {
+    let nearest = 0;
+    sums.forEach((centroid, cluster) => {
+      if (cosineDistance(vector, centroid) < cosineDistance(vector, sums[nearest])) nearest = cluster;
+    });
+    return nearest;
+  });
+}
+
+/**
+ * Labels segments by clustering their voice features. wavPath is the 16 kHz mono WAV the segment
+ * times refer to; speakers fixes the number of speakers, otherwise it is estimated.
+ * Speakers are numbered in order of first appearance.
+ */
+async function clusterSpeakers(wavPath, segments, { speakers = null } = {}) {
+  const wav = await readWavHeader(wavPath);
+  const filters = melFilterBank(wav.sampleRate);
+  const features = new Array(segments.length).fill(null);
+
+  const handle = await fs.open(wavPath, 'r');
+  try {
+    for (const [index, segment] of segments.entries()) {
+      const { from, to } = segment.offsets;
+      if ((to - from) / 1000 < MIN_CLUSTER_SECONDS) continue;
+      features[index] = await segmentFeatures(handle, wav, filters, { from, to });
+    }
+  } finally {
+    await handle.close();
+  }
+
+  const measured = features.map((vector, index) => ({ vector, index })).filter(item => item.vector);
+  if (measured.length === 0) return segments.map(segment => ({ ...segment, speaker: null }));
+
+  // Standardize each dimension so no single coefficient dominates the distance
+  const dimensions = measured[0].vector.length;
+  const scaled = measured.map(item => item.vector.slice());
+  for (let d = 0; d < dimensions; d++) {
+    const mean = scaled.reduce((sum, vector) => sum + vector[d], 0) / scaled.length;
+    const std = Math.sqrt(scaled.reduce((sum, vector) => sum + (vector[d] - mean) ** 2, 0) / scaled.length) || 1;
+    scaled.forEach(vector => { vector[d] = (vector[d] - mean) / std; });
+  }
+
+  const assignment = clusterManyVectors(scaled, speakers ? Math.min(speakers, scaled.length) : null);
+  const clusterOf = new Array(segments.length).fill(null);
+  measured.forEach((item, i) => { clusterOf[item.index] = assignment[i]; });
+
+  // Short segments follow the previous labelled segment, or the next one at the start
+  let last = clusterOf.find(cluster => cluster !== null);
+  clusterOf.forEach((cluster, index) => {
+    if (cluster === null) clusterOf[index] = last;
+    else last = cluster;
+  });
+
+  const order = [];
+  return segments.map((segment, index) => {
+    if (!order.includes(clusterOf[index])) order.push(clusterOf[index]);
+    return { ...segment, speaker: speakerLabel(order.indexOf(clusterOf[index])) };
+  });
+}
+
+// Gives each segment the speaker of the labelled segment it overlaps most (used for the translation pass)
+function copySpeakers(segments, labelled) {
+  return segments.map(segment => {
+    let best = null;
+    let bestOverlap = 0;
+    for (const other of labelled) {
+      const overlap = Math.min(segment.offsets.to, other.offsets.to) - Math.max(segment.offsets.from, other.offsets.from);
+      if (other.speaker && overlap > bestOverlap) {
+        best = other.speaker;
+        bestOverlap = overlap;
+      }
+    }
+    return { ...segment, speaker: best };
+  });
+}
+
+// Distinct speaker labels in order of first appearance
+function listSpeakers(segments) {
+  return [...new Set((segments || []).map(segment => segment.speaker).filter(Boolean))];
+}
+
+/**
+ * Validates a { "Speaker 1": "Alice", ... } rename map from a request body.
+ * Returns null when no map was given.
+ */
+function parseSpeakerNames(names) {
+  if (names === undefined || names === null) return null;
+  if (typeof names !== 'object' || Array.isArray(names)) throw invalidDiarization('speaker names must be an object of { label: name }');
+  for (const [label, name] of Object.entries(names)) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      throw invalidDiarization(`Name for "${label}" must be a non-empty string of at most 100 characters`);
+    }
+  }
+  return Object.fromEntries(Object.entries(names).map(([label, name]) => [label, name.trim()]));
+}
+
+// Segments with speakers renamed through a { label: name } map; unmapped speakers keep their label
+function renameSpeakers(segments, names) {
+  if (!names || !Array.isArray(segments)) return segments;
+  return segments.map(segment => (segment && segment.speaker && names[segment.speaker]
+    ? { ...segment, speaker: names[segment.speaker] }
+    : segment));
+}
+
+module.exports = {
+  DIARIZATION_MODES,
+  parseDiarizationOptions,
+  labelStereoSpeakers,
+  labelSpeakerTurns,
+  clusterSpeakers,
+  copySpeakers,
+  listSpeakers,
+  parseSpeakerNames,
+  renameSpeakers
+};
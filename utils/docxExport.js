@@ -0,0 +1,86 @@
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, TabStopType } = require('docx');
+
+// Width of the timestamp gutter in twentieths of a point (1134 = 2 cm)
+const TIMESTAMP_GUTTER = 1134;
+
+// Fonts Word should use for scripts Calibri can't draw. Word still falls back per glyph if missing.
+const EAST_ASIAN_FONTS = { zh: 'Microsoft YaHei', ja: 'Yu Gothic', ko: 'Malgun Gothic' };
+const INDIC_LANGUAGES = ['hi', 'mr', 'ne', 'sa', 'bn', 'as', 'pa', 'gu', 'ta', 'te', 'kn', 'ml', 'si'];
+
+function getRunFonts(code) {
+  const fonts = { ascii: 'Calibri', hAnsi: 'Calibri', cs: 'Arial', eastAsia: EAST_ASIAN_FONTS[code] || 'Microsoft YaHei' };
+  if (INDIC_LANGUAGES.includes(code)) fonts.cs = 'Nirmala UI';
+  if (code === 'th') fonts.cs = 'Leelawadee UI';
+  return fonts;
+}
+
+// w:lang tells Word which spell checker and shaping rules to use for each script class
+function getRunLanguage(language) {
+  if (!language.code) return undefined;
+  if (language.rtl) return { bidirectional: language.code };
+  if (EAST_ASIAN_FONTS[language.code]) return { eastAsia: language.code };
+  return { value: language.code };
+}
+
+/**
+ * Renders a transcript document model (see utils/transcriptDocument.js) as a .docx buffer.
+ * Timestamps sit in a hanging-indent gutter left of each paragraph; RTL languages get
+ * bidirectional paragraphs so Word lays them out right to left. A block's English translation
+ * follows it as a grey italic paragraph.
+ */
+async function renderDocx(model) {
+  const { language } = model;
+  const runStyle = { font: getRunFonts(language.code), language: getRunLanguage(language), rightToLeft: language.rtl };
+
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun({ text: model.title })] })
+  ];
+
+  for (const row of model.metadata) {
+    children.push(new Paragraph({
+      spacing: { after: 40 },
+      children: [
+        new TextRun({ text: `${row.label}: `, bold: true, color: '555555' }),
+        new TextRun({ text: row.value, color: '555555' })
+      ]
+    }));
+  }
+  children.push(new Paragraph({ text: '' }));
+
+  for (const block of model.blocks) {
+    const runs = [];
+    if (model.showTimestamps && block.timestamp) {
+      runs.push(new TextRun({ text: block.timestamp, color: '888888', size: 18 }), new TextRun({ text: '\t' }));
+    }
+    if (block.speaker) runs.push(new TextRun({ ...runStyle, text: `${block.speaker}: `, bold: true }));
+    runs.push(new TextRun({ ...runStyle, text: block.text }));
+
+    children.push(new Paragraph({
+      bidirectional: language.rtl,
+      spacing: { after: block.translation ? 40 : 160 },
+      indent: model.showTimestamps ? { left: TIMESTAMP_GUTTER, hanging: TIMESTAMP_GUTTER } : undefined,
+      tabStops: model.showTimestamps ? [{ type: TabStopType.LEFT, position: TIMESTAMP_GUTTER }] : undefined,
+      children: runs
+    }));
+
+    if (block.translation) {
+      children.push(new Paragraph({
+        spacing: { after: 160 },
+        indent: model.showTimestamps ? { left: TIMESTAMP_GUTTER } : undefined,
+        children: [new TextRun({ text: block.translation, italics: true, color: '555555' })]
+      }));
+    }
+  }
+
+  const doc = new Document({
+    title: model.title,
+    creator: 'Voxcribe',
+    description: model.metadata.map(row => `${row.label}: ${row.value}`).join('; '),
+    styles: { default: { document: { run: { font: 'Calibri', size: 22 } } } },
+    sections: [{ children }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+module.exports = { renderDocx };
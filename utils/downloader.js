@@ -0,0 +1,183 @@
+// Shared download helper for the installers: checksum verification, temp-file-then-rename,
+// HTTP range resume, idle timeouts and retry with backoff across a list of mirrors.
+//
+// DOWNLOAD_MIRROR  base URL (http://, https:// or file://) tried first for every file, looked up by file name
+// DOWNLOAD_OFFLINE set to 1 to use only DOWNLOAD_MIRROR (air-gapped installs)
+// DOWNLOAD_RETRIES passes over the source list before giving up (default 3)
+// DOWNLOAD_TIMEOUT_MS idle socket timeout per request (default 30000)
+const path = require('path');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { fileURLToPath } = require('url');
+const { getManifestEntry } = require('../constants/downloadManifest');
+
+const MAX_REDIRECTS = 5;
+const BACKOFF_BASE_MS = 1000;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+function downloadError(message, code, permanent = false) {
+  const err = new Error(message);
+  err.code = code;
+  err.permanent = permanent; // retrying the same source won't help
+  return err;
+}
+
+// Mirror first (if configured), then the upstream URLs unless offline
+function getDownloadSources(urls, name) {
+  const sources = [];
+  const mirror = process.env.DOWNLOAD_MIRROR;
+  if (mirror) sources.push(new URL(encodeURIComponent(name), mirror.endsWith('/') ? mirror : `${mirror}/`).toString());
+  if (process.env.DOWNLOAD_OFFLINE !== '1') sources.push(...urls);
+  return sources;
+}
+
+async function hashFile(filePath, algorithm) {
+  const hash = crypto.createHash(algorithm);
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+  return hash.digest('hex');
+}
+
+async function verifyFile(filePath, { sha256, sha1, minBytes }) {
+  const { size } = await fsPromises.stat(filePath);
+  if (minBytes && size < minBytes) {
+    throw downloadError(`Downloaded file is too small (${size} bytes), likely invalid.`, 'INVALID_SIZE');
+  }
+  for (const [algorithm, expected] of [['sha256', sha256], ['sha1', sha1]]) {
+    if (!expected) continue;
+    const actual = await hashFile(filePath, algorithm);
+    if (actual !== expected.toLowerCase()) {
+      throw downloadError(`Checksum mismatch (${algorithm}): expected ${expected}, got ${actual}`, 'CHECKSUM_MISMATCH');
+    }
+  }
+}
+
+// Streams one URL into partPath, resuming from the bytes already there when the server allows it
+function fetchToPart(url, partPath, { timeoutMs, headers = {} }, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    let offset = 0;
+    try { offset = fs.statSync(partPath).size; } catch {}
+
+    const client = url.startsWith('https:') ? https : http;
+    const requestHeaders = { 'User-Agent': USER_AGENT, 'Accept': 'application/octet-stream', ...headers };
+    if (offset > 0) requestHeaders.Range = `bytes=${offset}-`;
+
+    const request = client.get(url, { headers: requestHeaders }, (response) => {
+      const { statusCode } = response;
+
+      if ([301, 302, 303, 307, 308].includes(statusCode)) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) return reject(downloadError('Too many redirects', 'TOO_MANY_REDIRECTS', true));
+        const next = new URL(response.headers.location, url).toString();
+        return fetchToPart(next, partPath, { timeoutMs, headers }, redirects + 1).then(resolve, reject);
+      }
+      // Range past the end: the part file is already complete, let verification decide
+      if (statusCode === 416 && offset > 0) {
+        response.resume();
+        return resolve();
+      }
+      if (statusCode !== 200 && statusCode !== 206) {
+        response.resume();
+        const permanent = statusCode >= 400 && statusCode < 500 && ![408, 429].includes(statusCode);
+        return reject(downloadError(`Download failed: ${statusCode}`, 'HTTP_ERROR', permanent));
+      }
+
+      // 200 means the server ignored the range: start over
+      const append = statusCode === 206 && offset > 0;
+      if (offset > 0) console.log(append ? `   Resuming at ${offset} bytes` : '   Server does not support resume, restarting');
+      const file = fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' });
+      response.pipe(file);
+      response.on('error', (err) => { file.destroy(); reject(err); });
+      file.on('error', reject);
+      file.on('finish', () => file.close(() => resolve()));
+    });
+
+    request.setTimeout(timeoutMs, () => {
+      request.destroy(downloadError(`Download stalled for ${timeoutMs}ms`, 'TIMEOUT'));
+    });
+    request.on('error', reject);
+  });
+}
+
+async function fetchSource(source, partPath, options) {
+  if (source.startsWith('file:')) {
+    const localPath = fileURLToPath(source);
+    try {
+      await fsPromises.copyFile(localPath, partPath);
+    } catch (error) {
+      throw downloadError(`Local cache copy failed: ${error.message}`, 'FILE_ERROR', true);
+    }
+    return;
+  }
+  await fetchToPart(source, partPath, options);
+}
+
+/**
+ * Downloads a file to dest, trying the configured mirror and then each URL in turn, with retries.
+ * Data goes to `${dest}.part` (kept between attempts for resume) and is renamed into place only
+ * after the size/checksum checks pass, so an interrupted download never looks installed.
+ *
+ * options: { sha256, sha1, minBytes, name (file name looked up on the mirror), retries, timeoutMs, headers }
+ */
+async function downloadFile(urls, dest, options = {}) {
+  const urlList = Array.isArray(urls) ? urls : [urls];
+  const name = options.name || path.basename(dest);
+  const retries = options.retries ?? (parseInt(process.env.DOWNLOAD_RETRIES, 10) || 3);
+  const timeoutMs = options.timeoutMs ?? (parseInt(process.env.DOWNLOAD_TIMEOUT_MS, 10) || 30000);
+  const partPath = `${dest}.part`;
+
+  let sources = getDownloadSources(urlList, name);
+  if (sources.length === 0) throw downloadError(`No download source for ${name} (offline and no DOWNLOAD_MIRROR set)`, 'NO_SOURCE');
+  if (!options.sha256 && !options.sha1) console.warn(`⚠️  No pinned checksum for ${name}; it will not be verified.`);
+
+  await fsPromises.mkdir(path.dirname(dest), { recursive: true });
+  let lastError = null;
+
+  for (let attempt = 0; attempt < retries && sources.length > 0; attempt++) {
+    if (attempt > 0) {
+      const delay = BACKOFF_BASE_MS * 2 ** (attempt - 1);
+      console.log(`   Retrying ${name} in ${delay}ms (attempt ${attempt + 1}/${retries})`);
+      await new Promise(r => setTimeout(r, delay));
+    }
+
+    for (const source of [...sources]) {
+      try {
+        console.log(`⬇️  Downloading ${name} from ${source}...`);
+        await fetchSource(source, partPath, { timeoutMs, headers: options.headers });
+        await verifyFile(partPath, options);
+        await fsPromises.rename(partPath, dest);
+        return dest;
+      } catch (error) {
+        lastError = error;
+        console.warn(`   ${name} from ${source} failed: ${error.message}`);
+        // A bad file can't be resumed from
+        if (['CHECKSUM_MISMATCH', 'INVALID_SIZE'].includes(error.code)) await fsPromises.unlink(partPath).catch(() => {});
+        if (error.permanent) sources = sources.filter(s => s !== source);
+      }
+    }
+  }
+
+  throw downloadError(`All download sources for ${name} failed. Last error: ${lastError?.message}`, 'DOWNLOAD_FAILED');
+}
+
+/**
+ * Downloads a file listed in constants/downloadManifest.js, using its pinned sources and checksums.
+ */
+async function downloadFromManifest(name, dest, options = {}) {
+  const { urls, sha256, sha1, minBytes } = getManifestEntry(name);
+  return downloadFile(urls, dest, { name, sha256, sha1, minBytes, ...options });
+}
+
+module.exports = {
+  downloadFile,
+  downloadFromManifest,
+  hashFile,
+  getDownloadSources
+};
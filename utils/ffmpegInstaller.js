@@ -1,10 +1,11 @@
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const { execSync } = require('child_process');
-const https = require('https');
+const { downloadFromManifest } = require('./downloader');
+const { runProcessChecked, commandExists, quotePowerShell } = require('./processRunner');
 
 const PROJECT_ROOT = process.cwd();
+const EXTRACT_TIMEOUT_MS = 5 * 60 * 1000;
 
 function getBinDir() {
   // Always check root bin first in this flat structure
@@ -24,14 +25,10 @@ function getFFmpegPath() {
   if (fs.existsSync(localPath)) return localPath;
 
   // 2. Check global PATH
-  try {
-    const cmd = platform === 'win32' ? 'where ffmpeg' : 'which ffmpeg';
-    execSync(cmd, { stdio: 'ignore' });
-    return 'ffmpeg';
-  } catch (e) {
-    // 3. Default to local path
-    return localPath;
-  }
+  if (commandExists('ffmpeg')) return 'ffmpeg';
+
+  // 3. Default to local path
+  return localPath;
 }
 
 function isFFmpegInstalledSync() {
@@ -40,32 +37,6 @@ function isFFmpegInstalledSync() {
   return fs.existsSync(p);
 }
 
-function downloadFile(url, dest) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(dest);
-    const request = https.get(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)' }
-    }, (response) => {
-      if ([301, 302, 307, 308].includes(response.statusCode)) {
-        downloadFile(response.headers.location, dest).then(resolve).catch(reject);
-        return;
-      }
-      if (response.statusCode !== 200) {
-        reject(new Error(`Failed to download: ${response.statusCode}`));
-        return;
-      }
-      response.pipe(file);
-      file.on('finish', () => {
-        file.close(() => resolve());
-      });
-    });
-    request.on('error', (err) => {
-      fs.unlink(dest, () => {});
-      reject(err);
-    });
-  });
-}
-
 async function findFileRecursively(dir, filename) {
   const items = await fs.promises.readdir(dir, { withFileTypes: true });
   for (const item of items) {
@@ -83,54 +54,23 @@ async function findFileRecursively(dir, filename) {
 async function installFFmpegLinux(binDir) {
   const tarPath = path.join(binDir, 'ffmpeg.tar.xz');
   
-  // Primary: Stable Release | Fallback: Git Master Build
-  const urls = [
-    'https://johnvansickle.com/ffmpeg/releases/ffmpeg-release-amd64-static.tar.xz',
-    'https://johnvansickle.com/ffmpeg/builds/ffmpeg-git-amd64-static.tar.xz'
-  ];
-
-  let downloaded = false;
-  let lastError = null;
-
-  for (const url of urls) {
-    try {
-      console.log(`[FFmpeg] Attempting download from: ${url}`);
-      if (fs.existsSync(tarPath)) fs.unlinkSync(tarPath);
-      
-      await downloadFile(url, tarPath);
-      
-      // Verify file size is reasonable (e.g. > 10MB) to ensure it's not a corrupted text file
-      const stats = fs.statSync(tarPath);
-      if (stats.size < 10000000) {
-        throw new Error('Downloaded file is too small, likely invalid.');
-      }
-      
-      downloaded = true;
-      console.log('[FFmpeg] Download successful.');
-      break; 
-    } catch (e) {
-      console.warn(`[FFmpeg] Failed to download from ${url}: ${e.message}`);
-      lastError = e;
-    }
-  }
-
-  if (!downloaded) {
-    throw new Error(`All FFmpeg download mirrors failed. Last error: ${lastError?.message}`);
-  }
+  // Mirrors, retries and the size sanity check are configured in constants/downloadManifest.js
+  await downloadFromManifest('ffmpeg-amd64-static.tar.xz', tarPath);
+  console.log('[FFmpeg] Download successful.');
 
   console.log('[FFmpeg] Extracting...');
   try {
     // Try precise extraction with wildcard
-    execSync(`tar -xJf "${tarPath}" -C "${binDir}" --strip-components=1 --wildcards "*/ffmpeg"`, { stdio: 'inherit' });
+    await runProcessChecked('tar', ['-xJf', tarPath, '-C', binDir, '--strip-components=1', '--wildcards', '*/ffmpeg'], { timeoutMs: EXTRACT_TIMEOUT_MS });
   } catch (e) {
     console.log('[FFmpeg] Wildcard extraction failed, trying full extraction with strip...');
     // Fallback to full extraction
     try {
-      execSync(`tar -xJf "${tarPath}" -C "${binDir}" --strip-components=1`, { stdio: 'inherit' });
+      await runProcessChecked('tar', ['-xJf', tarPath, '-C', binDir, '--strip-components=1'], { timeoutMs: EXTRACT_TIMEOUT_MS });
     } catch (e2) {
        console.log('[FFmpeg] Strip extraction failed, trying simple extraction...');
        // Last ditch: simple extract, then find the binary
-       execSync(`tar -xJf "${tarPath}" -C "${binDir}"`, { stdio: 'inherit' });
+       await runProcessChecked('tar', ['-xJf', tarPath, '-C', binDir], { timeoutMs: EXTRACT_TIMEOUT_MS });
        // We might need to find the binary now if strip didn't work
        const foundPath = await findFileRecursively(binDir, 'ffmpeg');
        if (foundPath && foundPath !== path.join(binDir, 'ffmpeg')) {
@@ -161,15 +101,16 @@ async function installFFmpeg() {
     if (platform === 'linux') {
       await installFFmpegLinux(binDir);
     } else if (platform === 'win32') {
-      const zipUrl = 'https://github.com/BtbN/FFmpeg-Builds/releases/download/latest/ffmpeg-master-latest-win64-gpl.zip';
       const zipPath = path.join(binDir, 'ffmpeg.zip');
       const extractPath = path.join(binDir, 'temp_ffmpeg_extract');
 
-      console.log(`[FFmpeg] Downloading from ${zipUrl}...`);
-      await downloadFile(zipUrl, zipPath);
+      await downloadFromManifest('ffmpeg-win64-gpl.zip', zipPath);
       
       console.log('[FFmpeg] Extracting...');
-      execSync(`powershell -NoProfile -Command "Expand-Archive -Path '${zipPath}' -DestinationPath '${extractPath}' -Force"`);
+      await runProcessChecked('powershell', [
+        '-NoProfile', '-Command',
+        `Expand-Archive -LiteralPath ${quotePowerShell(zipPath)} -DestinationPath ${quotePowerShell(extractPath)} -Force`
+      ], { timeoutMs: EXTRACT_TIMEOUT_MS });
 
       const ffmpegSource = await findFileRecursively(extractPath, 'ffmpeg.exe');
       if (ffmpegSource) {
@@ -0,0 +1,23 @@
+const path = require('path');
+const fs = require('fs');
+const { SCRIPT_FONTS, getFontKeyForLanguage } = require('../constants/fonts');
+
+const PROJECT_ROOT = process.cwd();
+
+function getFontsDir() {
+  return process.env.FONTS_DIR || path.join(PROJECT_ROOT, 'fonts');
+}
+
+/**
+ * Returns the path of the font file for a language, or null if it is missing from the fonts directory.
+ */
+function getFontPathForLanguage(code) {
+  const font = SCRIPT_FONTS[getFontKeyForLanguage(code)];
+  const fontPath = path.join(getFontsDir(), font.file);
+  return fs.existsSync(fontPath) ? fontPath : null;
+}
+
+module.exports = {
+  getFontsDir,
+  getFontPathForLanguage
+};
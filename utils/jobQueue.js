@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Number of jobs allowed to run at the same time. Each transcription spawns ffmpeg and a
+// whisper process that uses several threads, so keep this low on small instances.
+const CONCURRENCY = Math.max(1, parseInt(process.env.TRANSCRIBE_CONCURRENCY, 10) || 1);
+// Jobs waiting beyond this limit are rejected instead of piling up in memory
+const MAX_QUEUED_JOBS = Math.max(1, parseInt(process.env.MAX_QUEUED_JOBS, 10) || 100);
+// Finished jobs (done/failed/cancelled) are kept around this long so clients can poll the result
+const JOB_TTL_MS = Math.max(1000, parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000);
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Pipeline stages reported to progress streams, in the order a transcription goes through them
+const JOB_STAGE = {
+  QUEUED: 'queued',
+  PROBING: 'probing',
+  CONVERTING: 'converting',
+  PREPROCESSING: 'preprocessing',
+  DETECTING: 'detecting',
+  TRANSCRIBING: 'transcribing',
+  TRANSLATING: 'translating',
+  DIARIZING: 'diarizing',
+  RENDERING: 'rendering',
+  EXPORTING: 'exporting',
+  FINISHED: 'finished'
+};
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+function isFinished(job) {
+  return [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status);
+}
+
+function pruneExpiredJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (isFinished(job) && now - job.finishedAt > JOB_TTL_MS) jobs.delete(id);
+  }
+}
+
+function finishJob(job, status, fields = {}) {
+  if (isFinished(job)) return;
+  Object.assign(job, fields, { status, finishedAt: Date.now() });
+  job.task = null;
+  // Decoded segments are only kept for live subscribers; the result carries the final list
+  job.segments = [];
+  setJobStage(job, JOB_STAGE.FINISHED);
+  job.events.emit('status', job);
+  if (job.cleanup) {
+    Promise.resolve().then(() => job.cleanup(job)).catch(err => {
+      console.warn(`[Jobs] Cleanup for job ${job.id} failed:`, err.message);
+    });
+  }
+}
+
+function runNext() {
+  while (running < CONCURRENCY && pending.length > 0) {
+    const job = pending.shift();
+    if (job.status !== JOB_STATUS.QUEUED) continue;
+
+    running++;
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = Date.now();
+    job.events.emit('status', job);
+    console.log(`[Jobs] Starting job ${job.id} (${running}/${CONCURRENCY} running, ${pending.length} queued)`);
+
+    Promise.resolve()
+      .then(() => job.task(job))
+      .then(result => {
+        if (job.controller.signal.aborted) return finishJob(job, JOB_STATUS.CANCELLED);
+        finishJob(job, JOB_STATUS.DONE, { result });
+      })
+      .catch(err => {
+        if (job.controller.signal.aborted) return finishJob(job, JOB_STATUS.CANCELLED);
+        console.error(`[Jobs] Job ${job.id} failed:`, err.message);
+        finishJob(job, JOB_STATUS.FAILED, { error: err.message || 'Job failed', errorCode: err.code || null });
+      })
+      .finally(() => {
+        running--;
+        runNext();
+      });
+  }
+}
+
+/**
+ * Queues a task for the worker pool and returns the job record immediately.
+ * The task receives the job and should pass `job.signal` to any child process it starts
+ * so that cancelling the job kills it. `cleanup` runs once the job is finished, whatever the outcome.
+ */
+function enqueueJob(task, { meta = {}, cleanup } = {}) {
+  pruneExpiredJobs();
+  if (pending.length >= MAX_QUEUED_JOBS) {
+    const err = new Error('Transcription queue is full. Please try again later.');
+    err.code = 'QUEUE_FULL';
+    throw err;
+  }
+
+  const controller = new AbortController();
+  const events = new EventEmitter();
+  // One listener set per connected progress stream
+  events.setMaxListeners(100);
+  const job = {
+    id: crypto.randomUUID(),
+    status: JOB_STATUS.QUEUED,
+    meta,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    errorCode: null,
+    stage: JOB_STAGE.QUEUED,
+    progress: 0,
+    segments: [],
+    events,
+    task,
+    cleanup,
+    controller,
+    signal: controller.signal
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job);
+  runNext();
+  return job;
+}
+
+function getJob(id) {
+  pruneExpiredJobs();
+  return jobs.get(id) || null;
+}
+
+/**
+ * Cancels a queued or running job. Running jobs are aborted through their signal,
+ * which kills any child process started with it. Returns false if the job already finished.
+ */
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return false;
+
+  job.controller.abort();
+  if (job.status === JOB_STATUS.QUEUED) {
+    const index = pending.indexOf(job);
+    if (index !== -1) pending.splice(index, 1);
+    finishJob(job, JOB_STATUS.CANCELLED);
+  }
+  return true;
+}
+
+function setJobStage(job, stage) {
+  if (job.stage === stage) return;
+  job.stage = stage;
+  job.events.emit('stage', stage);
+}
+
+// Percent complete of the current stage (0-100)
+function setJobProgress(job, percent) {
+  const progress = Math.max(0, Math.min(100, Math.round(percent)));
+  if (job.progress === progress) return;
+  job.progress = progress;
+  job.events.emit('progress', progress);
+}
+
+// Segment decoded while the job is still running
+function addJobSegment(job, segment) {
+  job.segments.push(segment);
+  job.events.emit('segment', segment, job.segments.length - 1);
+}
+
+function getQueuePosition(job) {
+  const index = pending.indexOf(job);
+  return index === -1 ? null : index + 1;
+}
+
+// Public view of a job, without the task function or internal handles
+function serializeJob(job) {
+  const view = {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+  };
+  if (job.status === JOB_STATUS.QUEUED) view.position = getQueuePosition(job);
+  if (job.status === JOB_STATUS.DONE) view.result = job.result;
+  if (job.status === JOB_STATUS.FAILED) {
+    view.error = job.error;
+    view.errorCode = job.errorCode;
+  }
+  return view;
+}
+
+function getQueueStats() {
+  return { concurrency: CONCURRENCY, running, queued: pending.length, maxQueued: MAX_QUEUED_JOBS };
+}
+
+module.exports = {
+  JOB_TTL_MS,
+  JOB_STATUS,
+  JOB_STAGE,
+  enqueueJob,
+  getJob,
+  cancelJob,
+  isFinished,
+  setJobStage,
+  setJobProgress,
+  addJobSegment,
+  serializeJob,
+  getQueueStats
+};
@@ -0,0 +1,204 @@
+// Upload checks run before a file is converted: magic-byte sniffing, an ffmpeg probe of its
+// streams and the configured size/duration limits.
+const fs = require('fs').promises;
+const { runProcess } = require('./processRunner');
+
+// Largest accepted upload, in megabytes
+const MAX_UPLOAD_MB = Math.max(1, parseInt(process.env.MAX_UPLOAD_MB, 10) || 500);
+const MAX_UPLOAD_BYTES = MAX_UPLOAD_MB * 1024 * 1024;
+// Longest accepted recording, in seconds (0 = no limit)
+const durationLimit = parseInt(process.env.MAX_DURATION_SECONDS, 10);
+const MAX_DURATION_SECONDS = Number.isNaN(durationLimit) ? 4 * 60 * 60 : Math.max(0, durationLimit);
+const PROBE_TIMEOUT_MS = 30000;
+
+// HTTP status for each upload validation error code
+const MEDIA_ERROR_STATUS = {
+  FILE_TOO_LARGE: 413,
+  MEDIA_TOO_LONG: 413,
+  UNSUPPORTED_FORMAT: 415,
+  NO_AUDIO_STREAM: 422,
+  NOT_STEREO: 422,
+  NO_VIDEO_STREAM: 422
+};
+
+function mediaError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// Container signatures: [format, mime, test(first bytes of the file)]
+const SIGNATURES = [
+  ['wav', 'audio/wav', b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WAVE'],
+  ['avi', 'video/x-msvideo', b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'AVI '],
+  ['aiff', 'audio/aiff', b => ascii(b, 0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(b, 8, 12))],
+  ['mp3', 'audio/mpeg', b => ascii(b, 0, 3) === 'ID3'],
+  ['flac', 'audio/flac', b => ascii(b, 0, 4) === 'fLaC'],
+  ['ogg', 'audio/ogg', b => ascii(b, 0, 4) === 'OggS'],
+  ['mp4', 'video/mp4', b => ascii(b, 4, 8) === 'ftyp'],
+  ['matroska', 'video/x-matroska', b => b.readUInt32BE(0) === 0x1A45DFA3],
+  ['asf', 'audio/x-ms-asf', b => b.readUInt32BE(0) === 0x3026B275],
+  ['amr', 'audio/amr', b => ascii(b, 0, 5) === '#!AMR'],
+  ['caf', 'audio/x-caf', b => ascii(b, 0, 4) === 'caff'],
+  ['mpegts', 'video/mp2t', b => b[0] === 0x47 && b[188] === 0x47],
+  // Bare MPEG audio frames: ADTS AAC has layer bits 00, MP3 doesn't
+  ['aac', 'audio/aac', b => b[0] === 0xFF && (b[1] & 0xF6) === 0xF0],
+  ['mp3', 'audio/mpeg', b => b[0] === 0xFF && (b[1] & 0xE0) === 0xE0]
+];
+
+/**
+ * Identifies a media container from its first bytes. Returns { format, mime } or null when the
+ * file doesn't look like audio or video at all (text, images, archives, ...).
+ */
+async function sniffMediaType(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(512);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    if (bytesRead < 12) return null;
+    const head = buffer.subarray(0, bytesRead);
+    for (const [format, mime, test] of SIGNATURES) {
+      if (test(head)) return { format, mime };
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+const CHANNEL_LAYOUTS = { mono: 1, stereo: 2, '2.1': 3, '3.0': 3, quad: 4, '4.0': 4, '5.0': 5, '5.1': 6, '6.1': 7, '7.1': 8 };
+
+function parseChannels(layout) {
+  if (!layout) return null;
+  const count = /^(\d+) channels/.exec(layout);
+  if (count) return parseInt(count[1], 10);
+  return CHANNEL_LAYOUTS[layout.replace(/\(.*\)$/, '')] || null;
+}
+
+// "00:01:02.50" -> 62.5
+function parseClock(value) {
+  const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+/**
+ * Parses the stream summary ffmpeg prints for `ffmpeg -i <file>`:
+ *   Input #0, mp3, from 'a.mp3':
+ *     Duration: 00:00:05.04, start: 0.025057, bitrate: 128 kb/s
+ *     Stream #0:0(eng): Audio: mp3 (mp3float), 44100 Hz, stereo, fltp, 128 kb/s (default)
+ *       Metadata:
+ *         title           : Commentary
+ * Returns null if ffmpeg couldn't read the input.
+ */
+function parseProbeOutput(output) {
+  const input = /Input #0, ([^\n]+?), from /.exec(output);
+  if (!input) return null;
+
+  const durationMatch = /Duration: ([\d:.]+|N\/A)/.exec(output);
+  const bitrateMatch = /Duration: [^\n]*bitrate: (\d+) kb\/s/.exec(output);
+  const streams = [];
+  const streamLine = /Stream #0:(\d+)(?:\[[^\]]*\])?(?:\(([^)]*)\))?: (Audio|Video|Subtitle|Data|Attachment): (.*)/;
+  // Stream metadata lines follow their stream line; only the title is kept
+  const titleLine = /^\s+title\s*: (.*)$/;
+  let current = null;
+  for (const line of output.split(/\r?\n/)) {
+    const match = streamLine.exec(line);
+    if (!match) {
+      const title = current && titleLine.exec(line);
+      if (title) current.title = title[1].trim();
+      else if (/^\S|^\s*(Stream|Input|Output) #/.test(line)) current = null;
+      continue;
+    }
+    const [, index, language, type, details] = match;
+    const stream = { index: parseInt(index, 10), type: type.toLowerCase(), codec: details.split(/[\s,]/)[0], language: language || null };
+    if (type === 'Audio') {
+      const parts = details.split(', ');
+      const rate = /(\d+) Hz/.exec(details);
+      const layoutIndex = parts.findIndex(part => /Hz$/.test(part)) + 1;
+      stream.sampleRate = rate ? parseInt(rate[1], 10) : null;
+      stream.channelLayout = layoutIndex > 0 && parts[layoutIndex] ? parts[layoutIndex] : null;
+      stream.channels = parseChannels(stream.channelLayout);
+    }
+    if (type === 'Video') {
+      const size = /, (\d{2,5})x(\d{2,5})/.exec(details);
+      stream.width = size ? parseInt(size[1], 10) : null;
+      stream.height = size ? parseInt(size[2], 10) : null;
+    }
+    stream.default = /\(default\)/.test(details);
+    stream.title = null;
+    streams.push(stream);
+    current = stream;
+  }
+
+  return {
+    format: input[1].split(',')[0],
+    duration: durationMatch ? parseClock(durationMatch[1]) : null,
+    bitRate: bitrateMatch ? parseInt(bitrateMatch[1], 10) * 1000 : null,
+    streams
+  };
+}
+
+/**
+ * Probes a media file with ffmpeg and returns
+ * { format, duration (seconds), bitRate, codec, channels, sampleRate, audioStreams, defaultTrack, hasVideo, video }
+ * where codec/channels/sampleRate describe the default audio track. audioStreams lists every audio
+ * track with its track number (its position among the audio streams, as audioTrack selects it),
+ * language, channels and title. Throws UNSUPPORTED_FORMAT if ffmpeg can't read the file and
+ * NO_AUDIO_STREAM if it has no audio.
+ */
+async function probeMedia(ffmpegPath, filePath, { signal } = {}) {
+  // Without an output file ffmpeg exits non-zero after printing the input summary
+  const result = await runProcess(ffmpegPath, ['-hide_banner', '-i', filePath], {
+    label: 'Probing media',
+    signal,
+    timeoutMs: PROBE_TIMEOUT_MS
+  });
+  const probe = parseProbeOutput(result.stderr);
+  if (!probe) throw mediaError('The file could not be read as audio or video.', 'UNSUPPORTED_FORMAT');
+
+  const audioStreams = probe.streams
+    .filter(stream => stream.type === 'audio')
+    .map((stream, track) => ({ track, ...stream }));
+  if (audioStreams.length === 0) throw mediaError('The file has no audio stream.', 'NO_AUDIO_STREAM');
+
+  // The track marked as default, else the first one
+  const audio = audioStreams.find(stream => stream.default) || audioStreams[0];
+  const video = probe.streams.find(stream => stream.type === 'video');
+  return {
+    format: probe.format,
+    duration: probe.duration,
+    bitRate: probe.bitRate,
+    codec: audio.codec,
+    channels: audio.channels,
+    sampleRate: audio.sampleRate,
+    audioStreams,
+    defaultTrack: audio.track,
+    hasVideo: Boolean(video),
+    video: video ? { codec: video.codec, width: video.width, height: video.height } : null
+  };
+}
+
+// Throws MEDIA_TOO_LONG when a probed file is over the duration limit
+function checkMediaLimits(media) {
+  if (MAX_DURATION_SECONDS && media.duration && media.duration > MAX_DURATION_SECONDS) {
+    throw mediaError(
+      `Recording is ${Math.round(media.duration)}s long; the limit is ${MAX_DURATION_SECONDS}s.`,
+      'MEDIA_TOO_LONG'
+    );
+  }
+}
+
+module.exports = {
+  MAX_UPLOAD_MB,
+  MAX_UPLOAD_BYTES,
+  MAX_DURATION_SECONDS,
+  MEDIA_ERROR_STATUS,
+  mediaError,
+  sniffMediaType,
+  parseProbeOutput,
+  probeMedia,
+  checkMediaLimits
+};
@@ -0,0 +1,96 @@
+// Audio track and channel selection for the conversion step. Screen recordings and video files often
+// carry several audio tracks (microphone, system sound, commentary); by default ffmpeg would take the
+// track marked as default. A request can pick another track by number, mix all tracks into one, or
+// transcribe each channel of a track on its own (one speaker per channel, e.g. a two-line phone recording).
+
+// channels=separate runs a whisper pass per channel, so the number of channels is capped
+const MAX_SEPARATE_CHANNELS = 8;
+const CHANNEL_MODES = ['mix', 'separate'];
+
+function invalidTrack(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_TRACK';
+  return err;
+}
+
+/**
+ * Reads the per-request audioTrack and channels fields. audioTrack is a track number (its position among
+ * the file's audio streams, as listed in media.audioStreams) or "mix" for all tracks mixed together;
+ * left out, the default track is used. channels is "mix" (downmix to mono) or "separate".
+ * Returns { audioTrack: number | 'mix' | null, channels }.
+ */
+function parseTrackOptions({ audioTrack, channels } = {}) {
+  let track = null;
+  if (audioTrack !== undefined && audioTrack !== null && audioTrack !== '') {
+    if (String(audioTrack).toLowerCase() === 'mix') {
+      track = 'mix';
+    } else {
+      track = Number(audioTrack);
+      if (!Number.isInteger(track) || track < 0) throw invalidTrack('audioTrack must be a track number (0 for the first audio track) or "mix"');
+    }
+  }
+  const mode = channels === undefined || channels === null || channels === '' ? 'mix' : String(channels).toLowerCase();
+  if (!CHANNEL_MODES.includes(mode)) throw invalidTrack(`channels must be one of: ${CHANNEL_MODES.join(', ')}`);
+  if (mode === 'separate' && track === 'mix') throw invalidTrack('channels=separate needs a single audio track, not audioTrack=mix');
+  return { audioTrack: track, channels: mode };
+}
+
+/**
+ * Checks a track selection against the probed media and returns the audio to convert:
+ * { track (number or 'mix'), tracks (audio track count), channels ('mix' | 'separate'), channelCount }.
+ * channelCount is the number of channels transcribed separately, else 1.
+ */
+function resolveAudioSelection(selection, media) {
+  const { audioTrack, channels } = selection || { audioTrack: null, channels: 'mix' };
+  const tracks = media.audioStreams.length;
+  if (typeof audioTrack === 'number' && audioTrack >= tracks) {
+    throw invalidTrack(`audioTrack ${audioTrack} does not exist: the file has ${tracks} audio track${tracks === 1 ? '' : 's'} (0-${tracks - 1})`);
+  }
+  // Mixing a single track is the same as taking it
+  const track = audioTrack === 'mix' && tracks > 1 ? 'mix' : (typeof audioTrack === 'number' ? audioTrack : media.defaultTrack || 0);
+  if (channels !== 'separate') return { track, tracks, channels, channelCount: 1 };
+
+  const stream = media.audioStreams[track];
+  if (!stream.channels || stream.channels < 2) {
+    throw invalidTrack(`channels=separate needs a track with at least two channels; track ${track} is ${stream.channelLayout || 'mono'}`);
+  }
+  if (stream.channels > MAX_SEPARATE_CHANNELS) {
+    throw invalidTrack(`channels=separate supports up to ${MAX_SEPARATE_CHANNELS} channels; track ${track} has ${stream.channels}`);
+  }
+  return { track, tracks, channels, channelCount: stream.channels };
+}
+
+/**
+ * ffmpeg arguments (after -i) that pick the selected audio and apply filterChain: the chosen track
+ * (-map 0:a:N), or all tracks through amix. With channel set, only that channel of the track is kept.
+ * Video, subtitle and data streams are always dropped.
+ */
+function buildAudioInputArgs(audio, { filterChain = null, channel = null } = {}) {
+  const filters = [channel === null ? null : `pan=mono|c0=c${channel}`, filterChain].filter(Boolean).join(',');
+  if (audio.track === 'mix') {
+    const inputs = Array.from({ length: audio.tracks }, (_, index) => `[0:a:${index}]`).join('');
+    const graph = `${inputs}amix=inputs=${audio.tracks}:duration=longest${filters ? `,${filters}` : ''}[audio]`;
+    return ['-vn', '-sn', '-dn', '-filter_complex', graph, '-map', '[audio]'];
+  }
+  return ['-vn', '-sn', '-dn', '-map', `0:a:${audio.track}`, ...(filters ? ['-af', filters] : [])];
+}
+
+const channelLabel = channel => `Channel ${channel + 1}`;
+
+/**
+ * Merges the segments of separately transcribed channels ([[segments of channel 0], ...]) into one list
+ * in time order, each labelled with its channel as the speaker.
+ */
+function mergeChannelSegments(perChannel) {
+  return perChannel
+    .flatMap((segments, channel) => segments.map(segment => ({ ...segment, channel, speaker: channelLabel(channel) })))
+    .sort((a, b) => a.offsets.from - b.offsets.from || a.channel - b.channel);
+}
+
+module.exports = {
+  MAX_SEPARATE_CHANNELS,
+  parseTrackOptions,
+  resolveAudioSelection,
+  buildAudioInputArgs,
+  mergeChannelSegments
+};
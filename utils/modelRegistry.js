@@ -0,0 +1,104 @@
+const path = require('path');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const { WHISPER_MODELS, DEFAULT_MODEL } = require('../constants/models');
+const { downloadFromManifest } = require('./downloader');
+
+const PROJECT_ROOT = process.cwd();
+
+// Downloads in progress, keyed by model name, so concurrent requests share one download
+const installing = new Map();
+
+function getModelsDir() {
+  return process.env.MODELS_DIR || path.join(PROJECT_ROOT, 'models');
+}
+
+function getModel(name) {
+  return WHISPER_MODELS.find(m => m.name === name) || null;
+}
+
+function getModelPath(name = DEFAULT_MODEL) {
+  const model = getModel(name);
+  if (!model) throw new Error(`Unknown Whisper model "${name}"`);
+  return path.join(getModelsDir(), model.file);
+}
+
+// A model that is still downloading is not usable yet
+function isModelInstalledSync(name = DEFAULT_MODEL) {
+  if (installing.has(name)) return false;
+  try {
+    fs.accessSync(getModelPath(name), fs.constants.F_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Registry listing with install state, as returned by GET /api/models.
+ */
+function listModels() {
+  return WHISPER_MODELS.map(model => {
+    let installedBytes = null;
+    try {
+      installedBytes = fs.statSync(path.join(getModelsDir(), model.file)).size;
+    } catch {}
+    return {
+      name: model.name,
+      file: model.file,
+      sizeMB: model.sizeMB,
+      sha1: model.sha1,
+      sha256: model.sha256,
+      url: model.url,
+      englishOnly: model.englishOnly,
+      quantized: model.quantized,
+      tinydiarize: model.tinydiarize,
+      default: model.name === DEFAULT_MODEL,
+      installed: installedBytes !== null && !installing.has(model.name),
+      installing: installing.has(model.name),
+      installedBytes
+    };
+  });
+}
+
+// Verified against the pinned checksum and renamed into place only when complete
+async function downloadModel(model) {
+  const modelPath = path.join(getModelsDir(), model.file);
+  await downloadFromManifest(model.file, modelPath);
+  console.log(`✅ Model ${model.name} downloaded to ${modelPath}`);
+}
+
+/**
+ * Downloads a model if it is not installed yet. Concurrent calls for the same model share one download.
+ */
+function installModel(name) {
+  const model = getModel(name);
+  if (!model) return Promise.reject(new Error(`Unknown Whisper model "${name}"`));
+  if (installing.has(name)) return installing.get(name);
+  if (isModelInstalledSync(name)) return Promise.resolve();
+
+  const promise = downloadModel(model).finally(() => installing.delete(name));
+  installing.set(name, promise);
+  return promise;
+}
+
+async function removeModel(name) {
+  if (installing.has(name)) {
+    const err = new Error(`Model "${name}" is being installed`);
+    err.code = 'MODEL_BUSY';
+    throw err;
+  }
+  await fsPromises.unlink(getModelPath(name));
+  console.log(`🗑️  Removed Whisper model ${name}`);
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  getModelsDir,
+  getModel,
+  getModelPath,
+  isModelInstalledSync,
+  listModels,
+  installModel,
+  removeModel
+};
@@ -0,0 +1,236 @@
+const PDFDocument = require('pdfkit');
+const { getFontsDir, getFontPathForLanguage } = require('./fontInstaller');
+
+const MARGINS = { top: 70, bottom: 60, left: 50, right: 50 };
+const TIMESTAMP_GUTTER = 55; // width reserved for timestamps beside each block
+const BODY_SIZE = 11;
+const LINE_GAP = 4;
+
+// Strongly right-to-left characters (Hebrew, Arabic, Syriac, Thaana, presentation forms)
+const RTL_CHAR = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+// Strongly left-to-right characters, plus digits which keep their order inside RTL text
+const LTR_CHAR = /[A-Za-z0-9\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/;
+
+function charDirection(char) {
+  if (RTL_CHAR.test(char)) return 'rtl';
+  if (LTR_CHAR.test(char)) return 'ltr';
+  return null;
+}
+
+/**
+ * Splits one line of an RTL paragraph into directional runs and returns them in visual
+ * (left-to-right) order. This is a simplified bidi pass: neutral characters take the direction
+ * of their neighbours when both agree, otherwise the paragraph direction.
+ * fontkit reverses the glyphs of each Arabic/Hebrew run when shaping it, so runs are drawn as-is.
+ */
+function toVisualRuns(line) {
+  const chars = Array.from(line);
+  const dirs = chars.map(charDirection);
+
+  for (let i = 0; i < dirs.length; i++) {
+    if (dirs[i]) continue;
+    let j = i;
+    while (j < dirs.length && !dirs[j]) j++;
+    const before = i > 0 ? dirs[i - 1] : 'rtl';
+    const after = j < dirs.length ? dirs[j] : 'rtl';
+    const resolved = before === after ? before : 'rtl';
+    for (let k = i; k < j; k++) dirs[k] = resolved;
+    i = j - 1;
+  }
+
+  const runs = [];
+  chars.forEach((char, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.dir === dirs[i]) last.text += char;
+    else runs.push({ dir: dirs[i], text: char });
+  });
+  return runs.reverse();
+}
+
+// Greedy word wrap using the current font's metrics
+function wrapToWidth(doc, text, width) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (!line || doc.widthOfString(candidate) <= width) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function pageBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > pageBottom(doc)) doc.addPage();
+}
+
+// Draws right-to-left text right-aligned in [x, x + width], handling page breaks line by line
+function drawRtlText(doc, text, x, width) {
+  const lineHeight = doc.currentLineHeight(true) + LINE_GAP;
+  for (const line of wrapToWidth(doc, text, width)) {
+    ensureSpace(doc, lineHeight);
+    const y = doc.y;
+    const runs = toVisualRuns(line);
+    const lineWidth = runs.reduce((sum, run) => sum + doc.widthOfString(run.text), 0);
+    let runX = x + width - lineWidth;
+    for (const run of runs) {
+      doc.text(run.text, runX, y, { lineBreak: false });
+      runX += doc.widthOfString(run.text);
+    }
+    doc.x = x;
+    doc.y = y + lineHeight;
+  }
+}
+
+function drawCover(doc, model, fonts) {
+  doc.font(fonts.ui).fontSize(20).fillColor('black').text(model.title, { align: model.language.rtl ? 'right' : 'left' });
+  doc.moveDown(0.5);
+
+  for (const row of model.metadata) {
+    doc.font(fonts.ui).fontSize(10).fillColor('#555555').text(`${row.label}: `, { continued: true });
+    doc.font(fonts.body).text(row.value);
+  }
+
+  doc.moveDown(0.5);
+  const ruleY = doc.y;
+  doc.moveTo(MARGINS.left, ruleY).lineTo(doc.page.width - MARGINS.right, ruleY).strokeColor('#cccccc').stroke();
+  doc.moveDown(1);
+}
+
+function drawBlock(doc, model, block, fonts) {
+  const { rtl } = model.language;
+  const contentLeft = MARGINS.left;
+  const contentWidth = doc.page.width - MARGINS.left - MARGINS.right;
+  const gutter = model.showTimestamps ? TIMESTAMP_GUTTER : 0;
+  // The timestamp gutter sits on the reading-start side: left for LTR, right for RTL
+  const textX = rtl ? contentLeft : contentLeft + gutter;
+  const textWidth = contentWidth - gutter;
+
+  doc.font(fonts.body).fontSize(BODY_SIZE);
+  ensureSpace(doc, doc.currentLineHeight(true) + LINE_GAP);
+  const top = doc.y;
+
+  if (model.showTimestamps && block.timestamp) {
+    const stampX = rtl ? contentLeft + contentWidth - gutter + 8 : contentLeft;
+    doc.font(fonts.ui).fontSize(9).fillColor('#888888')
+      .text(block.timestamp, stampX, top + 1.5, { width: gutter - 8, lineBreak: false });
+  }
+
+  const text = block.speaker ? `${block.speaker}: ${block.text}` : block.text;
+  doc.font(fonts.body).fontSize(BODY_SIZE).fillColor('black');
+  doc.y = top;
+  if (rtl) {
+    drawRtlText(doc, text, textX, textWidth);
+  } else {
+    doc.text(text, textX, top, { width: textWidth, lineGap: LINE_GAP });
+  }
+
+  // English translation (task=both) under the original, always left to right
+  if (block.translation) {
+    doc.font(fonts.ui).fontSize(BODY_SIZE - 1).fillColor('#555555');
+    doc.moveDown(0.2);
+    ensureSpace(doc, doc.currentLineHeight(true) + LINE_GAP);
+    doc.text(block.translation, textX, doc.y, { width: textWidth, lineGap: LINE_GAP });
+  }
+  doc.moveDown(0.6);
+}
+
+// Writes header and footer on every buffered page once the page count is known
+function drawPageChrome(doc, model, fonts) {
+  const range = doc.bufferedPageRange();
+  const sourceRow = model.metadata.find(row => row.label === 'Source');
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the margins would otherwise make pdfkit add a page
+    const { top, bottom } = doc.page.margins;
+    doc.page.margins.top = 0;
+    doc.page.margins.bottom = 0;
+
+    const width = doc.page.width - MARGINS.left - MARGINS.right;
+    doc.font(fonts.ui).fontSize(8).fillColor('#888888');
+    doc.text(model.title, MARGINS.left, 30, { width, align: 'left', lineBreak: false });
+    if (sourceRow) {
+      doc.font(fonts.body).text(sourceRow.value, MARGINS.left, 30, { width, align: 'right', lineBreak: false });
+    }
+    doc.font(fonts.ui).text(`Page ${i - range.start + 1} of ${range.count}`,
+      MARGINS.left, doc.page.height - 40, { width, align: 'center', lineBreak: false });
+
+    doc.page.margins.top = top;
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+// fontkit (pdfkit's shaper) throws on a null mark anchor, which the Noto fonts use where a base glyph
+// takes no mark of that class (e.g. Khmer ក + ំ, many Tibetan stacks). Like HarfBuzz, such marks are left
+// where they are. The GPOS processor class is shared, so it is patched once through the first font.
+let nullAnchorsTolerated = false;
+
+function tolerateNullAnchors(doc, fontName) {
+  if (nullAnchorsTolerated) return;
+  doc.font(fontName);
+  const engine = doc._font.font._layoutEngine.engine;
+  if (!engine || !engine.GPOSProcessor) return;
+  const processor = Object.getPrototypeOf(engine.GPOSProcessor);
+  const { applyAnchor } = processor;
+  processor.applyAnchor = function (markRecord, baseAnchor, baseGlyphIndex) {
+    if (!baseAnchor || !markRecord.markAnchor) return;
+    applyAnchor.call(this, markRecord, baseAnchor, baseGlyphIndex);
+  };
+  nullAnchorsTolerated = true;
+}
+
+// Error for a PDF whose fonts are not in the fonts directory; Helvetica would draw no glyphs for most scripts
+function fontMissingError(code) {
+  const err = new Error(`No PDF font for language "${code}" in ${getFontsDir()}`);
+  err.code = 'FONT_MISSING';
+  return err;
+}
+
+/**
+ * Renders a transcript document model (see utils/transcriptDocument.js) as a PDF buffer.
+ * The transcript font is picked from the language; labels use the Latin font.
+ * Rejects with code FONT_MISSING when either font file is missing.
+ */
+function renderPdf(model) {
+  const uiFontPath = getFontPathForLanguage('en');
+  const bodyFontPath = getFontPathForLanguage(model.language.code);
+  if (!uiFontPath) return Promise.reject(fontMissingError('en'));
+  if (!bodyFontPath) return Promise.reject(fontMissingError(model.language.code));
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: MARGINS,
+      bufferPages: true,
+      info: { Title: model.title, Creator: 'Voxcribe' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      doc.registerFont('ui', uiFontPath);
+      doc.registerFont('body', bodyFontPath);
+      const fonts = { ui: 'ui', body: 'body' };
+      tolerateNullAnchors(doc, fonts.ui);
+
+      drawCover(doc, model, fonts);
+      model.blocks.forEach(block => drawBlock(doc, model, block, fonts));
+      drawPageChrome(doc, model, fonts);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = { renderPdf, toVisualRuns };
@@ -0,0 +1,192 @@
+// Optional audio preprocessing before whisper: ffmpeg filters applied during conversion
+// (high-pass, denoise, loudness normalization) and silence trimming (VAD) of the converted WAV.
+// Trimming keeps a time map so segment timestamps can be moved back onto the original media.
+const fs = require('fs').promises;
+const { runProcessChecked } = require('./processRunner');
+const { detectSilences } = require('./chunking');
+const { makeSegment } = require('./segments');
+
+const DEFAULT_PREPROCESS = {
+  vad: false,
+  normalize: false,
+  highpass: false, // false or a cutoff in Hz
+  denoise: false,
+  silenceThreshold: -35, // dB below which audio counts as silence
+  minSilence: 1.0, // seconds; shorter pauses are kept
+  padding: 0.2 // seconds of silence left around speech
+};
+
+const OPTION_BOUNDS = {
+  highpass: [20, 1000],
+  silenceThreshold: [-90, -10],
+  minSilence: [0.3, 60],
+  padding: [0, 2]
+};
+const DEFAULT_HIGHPASS_HZ = 80;
+const TRIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+function invalidPreprocess(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_PREPROCESS';
+  return err;
+}
+
+function readBoolean(value, name) {
+  if (typeof value === 'boolean') return value;
+  if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+  throw invalidPreprocess(`preprocess.${name} must be true or false`);
+}
+
+function readNumber(value, name) {
+  const number = Number(value);
+  const [min, max] = OPTION_BOUNDS[name];
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw invalidPreprocess(`preprocess.${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Reads the per-request preprocess field: a JSON object
+ * ({ vad, normalize, highpass (true or Hz), denoise, silenceThreshold, minSilence, padding })
+ * or a comma-separated list of the boolean steps ("vad,normalize"). Returns null when nothing is enabled.
+ */
+function parsePreprocessOptions(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let input = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('{')) {
+      try {
+        input = JSON.parse(trimmed);
+      } catch {
+        throw invalidPreprocess('preprocess is not valid JSON');
+      }
+    } else {
+      input = Object.fromEntries(trimmed.split(',').map(step => step.trim()).filter(Boolean).map(step => [step, true]));
+    }
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw invalidPreprocess('preprocess must be an object');
+
+  const options = { ...DEFAULT_PREPROCESS };
+  for (const [name, raw] of Object.entries(input)) {
+    if (!(name in DEFAULT_PREPROCESS)) throw invalidPreprocess(`Unknown preprocess option "${name}"`);
+    if (name === 'highpass') {
+      // true for the default cutoff, or a frequency in Hz
+      if (raw === false || /^(false|0|no)$/i.test(String(raw))) options.highpass = false;
+      else if (raw === true || /^(true|yes)$/i.test(String(raw))) options.highpass = DEFAULT_HIGHPASS_HZ;
+      else options.highpass = readNumber(raw, name);
+    } else if (name in OPTION_BOUNDS) {
+      options[name] = readNumber(raw, name);
+    } else {
+      options[name] = readBoolean(raw, name);
+    }
+  }
+  if (!options.vad && !options.normalize && !options.highpass && !options.denoise) return null;
+  return options;
+}
+
+/**
+ * ffmpeg -af filter chain for the conversion step, or null when no filter is enabled.
+ * Order: high-pass first so rumble doesn't skew the denoiser, loudness normalization last.
+ */
+function buildFilterChain(options) {
+  if (!options) return null;
+  const filters = [];
+  if (options.highpass) filters.push(`highpass=f=${options.highpass}`);
+  if (options.denoise) filters.push('afftdn=nf=-25');
+  if (options.normalize) filters.push('loudnorm=I=-16:TP=-1.5:LRA=11');
+  return filters.length > 0 ? filters.join(',') : null;
+}
+
+/**
+ * Speech regions [{ start, end }] (seconds) left after cutting silences of at least minSilence,
+ * keeping `padding` seconds of each silence next to the speech around it.
+ */
+function findSpeechRegions(duration, silences, { minSilence, padding }) {
+  const regions = [];
+  let cursor = 0;
+  for (const silence of silences) {
+    if (silence.end - silence.start < minSilence) continue;
+    const cutStart = silence.start === 0 ? 0 : silence.start + padding;
+    const cutEnd = silence.end >= duration ? duration : silence.end - padding;
+    if (cutEnd <= cutStart) continue;
+    if (cutStart > cursor) regions.push({ start: cursor, end: cutStart });
+    cursor = cutEnd;
+  }
+  if (cursor < duration) regions.push({ start: cursor, end: duration });
+  return regions;
+}
+
+/**
+ * Writes a copy of a converted WAV without its long silences to outputPath. Returns
+ * { timeMap, removedSeconds } where timeMap is [{ start, end, offset }]: audio at `offset` seconds in the
+ * trimmed file comes from [start, end] of the original. Returns null when there is nothing worth cutting.
+ */
+async function trimSilences(ffmpegPath, wavPath, outputPath, duration, options, { signal } = {}) {
+  const silences = await detectSilences(ffmpegPath, wavPath, {
+    signal,
+    noiseDb: options.silenceThreshold,
+    minSeconds: options.minSilence
+  });
+  const regions = findSpeechRegions(duration, silences, options);
+  const keptSeconds = regions.reduce((sum, region) => sum + region.end - region.start, 0);
+  if (regions.length === 0 || duration - keptSeconds < 1) return null;
+
+  // The select expression can be long, so it goes through a filter script rather than the command line
+  const scriptPath = `${outputPath}.filter`;
+  const select = regions.map(region => `between(t,${region.start.toFixed(3)},${region.end.toFixed(3)})`).join('+');
+  await fs.writeFile(scriptPath, `aselect='${select}',asetpts=N/SR/TB`);
+  try {
+    await runProcessChecked(ffmpegPath, ['-hide_banner', '-y', '-i', wavPath, '-filter_script:a', scriptPath, outputPath], {
+      label: 'Trimming silences',
+      signal,
+      timeoutMs: TRIM_TIMEOUT_MS
+    });
+  } finally {
+    await fs.unlink(scriptPath).catch(() => {});
+  }
+
+  let offset = 0;
+  const timeMap = regions.map(region => {
+    const entry = { ...region, offset };
+    offset += region.end - region.start;
+    return entry;
+  });
+  return { timeMap, removedSeconds: duration - keptSeconds };
+}
+
+// Position in the original media (ms) of a position in the trimmed audio (ms)
+function mapTime(ms, timeMap) {
+  const seconds = ms / 1000;
+  let entry = timeMap[0];
+  for (const candidate of timeMap) {
+    if (candidate.offset > seconds) break;
+    entry = candidate;
+  }
+  const original = entry.start + Math.min(seconds - entry.offset, entry.end - entry.start);
+  return Math.round(original * 1000);
+}
+
+// Moves whisper segments (and their word timings) from trimmed-audio time back onto the original media
+function remapSegment(segment, timeMap) {
+  if (!timeMap) return segment;
+  const remapped = {
+    ...segment,
+    ...makeSegment(mapTime(segment.offsets.from, timeMap), mapTime(segment.offsets.to, timeMap), segment.text)
+  };
+  if (segment.words) remapped.words = segment.words.map(word => remapSegment(word, timeMap));
+  return remapped;
+}
+
+module.exports = {
+  DEFAULT_PREPROCESS,
+  parsePreprocessOptions,
+  buildFilterChain,
+  findSpeechRegions,
+  trimSilences,
+  mapTime,
+  remapSegment
+};
@@ -0,0 +1,166 @@
+// Runs external tools (ffmpeg, whisper, tar, ...) without a shell: the command and its arguments
+// are passed to spawn as an array, so file names and request values are never parsed as shell syntax.
+const { spawn, spawnSync } = require('child_process');
+const os = require('os');
+
+// Output kept in memory per stream; anything beyond is still passed to onOutput but dropped from the result
+const DEFAULT_MAX_OUTPUT_BYTES = parseInt(process.env.PROCESS_MAX_OUTPUT_BYTES, 10) || 10 * 1024 * 1024;
+// Time a process gets to exit after SIGTERM before it is killed outright
+const KILL_GRACE_MS = 5000;
+
+// Quotes arguments that need it, for log lines only; the string is never executed
+function formatCommand(command, args) {
+  return [command, ...args].map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg))).join(' ');
+}
+
+function processError(message, code, result) {
+  const err = new Error(message);
+  err.code = code;
+  err.result = result;
+  return err;
+}
+
+// Collects a stream up to maxBytes, remembering whether anything was cut
+function createOutputBuffer(maxBytes) {
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  return {
+    push(chunk) {
+      if (size >= maxBytes) { truncated = true; return; }
+      const kept = chunk.length > maxBytes - size ? chunk.subarray(0, maxBytes - size) : chunk;
+      if (kept.length < chunk.length) truncated = true;
+      chunks.push(kept);
+      size += kept.length;
+    },
+    toString: () => Buffer.concat(chunks).toString(),
+    get truncated() { return truncated; }
+  };
+}
+
+/**
+ * Runs a command with an argument array and resolves with
+ * { command, args, exitCode, signal, stdout, stderr, durationMs, timedOut, truncated } once it exits,
+ * whatever the exit code. Rejects if the process can't be started, or with an AbortError when
+ * options.signal aborts; the process is killed and the promise settles once it has exited, so its
+ * files can be removed right after.
+ *
+ * options: { label, cwd, env, signal, timeoutMs (0 = none), maxOutputBytes,
+ *            onOutput(chunk, 'stdout' | 'stderr') for output while the process runs }
+ */
+function runProcess(command, args = [], options = {}) {
+  const { label, cwd, env, signal, timeoutMs = 0, maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES, onOutput } = options;
+
+  return new Promise((resolve, reject) => {
+    if (label) console.log(`▶️ ${label}`);
+    console.log(formatCommand(command, args));
+
+    const startedAt = Date.now();
+    const stdout = createOutputBuffer(maxOutputBytes);
+    const stderr = createOutputBuffer(maxOutputBytes);
+    let timedOut = false;
+    let killTimer = null;
+    let settled = false;
+    let abortError = null;
+
+    const child = spawn(command, args, { cwd, env, signal, windowsHide: true, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const timeoutTimer = timeoutMs > 0 ? setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+    }, timeoutMs) : null;
+
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      fn(value);
+    };
+
+    child.stdout.on('data', chunk => {
+      stdout.push(chunk);
+      if (onOutput) onOutput(chunk.toString(), 'stdout');
+    });
+    child.stderr.on('data', chunk => {
+      stderr.push(chunk);
+      if (onOutput) onOutput(chunk.toString(), 'stderr');
+    });
+
+    // Spawn failures (ENOENT, EACCES) reject right away. On cancellation spawn sends SIGTERM; the
+    // rejection waits for the process to exit (SIGKILL after KILL_GRACE_MS)
+    child.on('error', error => {
+      if (error.name === 'AbortError' && child.pid !== undefined && child.exitCode === null && child.signalCode === null) {
+        abortError = error;
+        killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+        return;
+      }
+      finish(reject, error);
+    });
+
+    // A killed process can leave children holding its output pipes open; don't wait for them
+    child.on('exit', () => {
+      if (timedOut || abortError) {
+        child.stdout.destroy();
+        child.stderr.destroy();
+      }
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      if (abortError) return finish(reject, abortError);
+      const result = {
+        command,
+        args,
+        exitCode,
+        signal: exitSignal,
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        durationMs: Date.now() - startedAt,
+        timedOut,
+        truncated: stdout.truncated || stderr.truncated
+      };
+      if (result.stdout.trim()) console.log(result.stdout);
+      if (result.stderr.trim()) console.log(result.stderr);
+      if (timedOut) console.warn(`⏱️ ${label || command} timed out after ${timeoutMs}ms`);
+      finish(resolve, result);
+    });
+  });
+}
+
+/**
+ * Like runProcess, but rejects unless the process exits with code 0.
+ * The error has code PROCESS_TIMEOUT or PROCESS_FAILED and the structured result as err.result.
+ */
+async function runProcessChecked(command, args = [], options = {}) {
+  const result = await runProcess(command, args, options);
+  if (result.timedOut) {
+    throw processError(`${options.label || command} timed out after ${options.timeoutMs}ms`, 'PROCESS_TIMEOUT', result);
+  }
+  if (result.exitCode !== 0) {
+    const detail = result.stderr.trim().split('\n').pop() || `exit code ${result.exitCode ?? result.signal}`;
+    throw processError(`${options.label || command} failed: ${detail}`, 'PROCESS_FAILED', result);
+  }
+  return result;
+}
+
+// Single-quoted PowerShell string literal, for paths embedded in a -Command script
+function quotePowerShell(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// True when a command name resolves on PATH
+function commandExists(name) {
+  const lookup = os.platform() === 'win32' ? 'where' : 'which';
+  const { status } = spawnSync(lookup, [name], { stdio: 'ignore', windowsHide: true });
+  return status === 0;
+}
+
+module.exports = {
+  runProcess,
+  runProcessChecked,
+  commandExists,
+  quotePowerShell,
+  formatCommand,
+  processError
+};
@@ -0,0 +1,192 @@
+// Downloads a recording named by URL for /api/transcribe, with the same size limit as uploads.
+// Every connection, including each redirect hop, goes through a DNS lookup that refuses private,
+// loopback, link-local and other non-public addresses, so a URL can't be used to reach internal
+// services (SSRF). The check runs on the address actually connected to, which also stops DNS rebinding.
+const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { MAX_UPLOAD_MB, MAX_UPLOAD_BYTES, mediaError } = require('./mediaProbe');
+
+const MAX_REDIRECTS = Math.max(0, parseInt(process.env.REMOTE_MAX_REDIRECTS, 10) || 3);
+// Idle socket timeout, and the limit for the whole download
+const IDLE_TIMEOUT_MS = Math.max(1000, parseInt(process.env.REMOTE_IDLE_TIMEOUT_MS, 10) || 30 * 1000);
+const DOWNLOAD_TIMEOUT_MS = Math.max(1000, parseInt(process.env.REMOTE_DOWNLOAD_TIMEOUT_MS, 10) || 10 * 60 * 1000);
+// For deployments that fetch from a media server on their own network
+const ALLOW_PRIVATE_ADDRESSES = process.env.REMOTE_ALLOW_PRIVATE === '1';
+const MAX_URL_LENGTH = 4096;
+const USER_AGENT = 'Voxcribe/1.0';
+
+// HTTP status for each remote download error code (size and format errors use MEDIA_ERROR_STATUS)
+const REMOTE_ERROR_STATUS = {
+  INVALID_URL: 400,
+  URL_NOT_ALLOWED: 400,
+  TOO_MANY_REDIRECTS: 400,
+  REMOTE_FETCH_FAILED: 502,
+  REMOTE_TIMEOUT: 504
+};
+
+// Content types a recording can be served with; anything else (HTML error pages, JSON, playlists) is refused
+const MEDIA_CONTENT_TYPE = /^(audio\/|video\/|application\/(octet-stream|ogg|mp4|x-matroska)$|binary\/octet-stream$)/;
+
+// Non-public address ranges (RFC 6890 special-purpose registries)
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  if (ALLOW_PRIVATE_ADDRESSES) return false;
+  const family = net.isIP(address);
+  if (family === 6) {
+    // IPv4-mapped (::ffff:10.0.0.1) addresses are checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+    return blockedAddresses.check(address, 'ipv6');
+  }
+  return family !== 4 || blockedAddresses.check(address, 'ipv4');
+}
+
+function notAllowed(host) {
+  return mediaError(`URL host ${host} resolves to a private or reserved address`, 'URL_NOT_ALLOWED');
+}
+
+// dns.lookup for http.get that fails instead of returning a blocked address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const allowed = addresses.filter(({ address }) => !isBlockedAddress(address));
+    if (allowed.length === 0 || allowed.length < addresses.length) return callback(notAllowed(hostname));
+    if (options.all) return callback(null, allowed);
+    callback(null, allowed[0].address, allowed[0].family);
+  });
+}
+
+/**
+ * Reads the per-request url field: an http(s) URL whose host isn't a blocked IP literal.
+ * Host names are checked when they are resolved, at connection time.
+ */
+function parseMediaUrl(value) {
+  if (typeof value !== 'string' || !value.trim() || value.length > MAX_URL_LENGTH) {
+    throw mediaError(`url must be a URL of at most ${MAX_URL_LENGTH} characters`, 'INVALID_URL');
+  }
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    throw mediaError('url is not a valid URL', 'INVALID_URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw mediaError('url must be an http or https URL', 'INVALID_URL');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) throw notAllowed(host);
+  return url;
+}
+
+// File name for job metadata: Content-Disposition's filename, else the last path segment
+function remoteFilename(url, disposition) {
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition || '');
+  let name = match ? match[1] : url.pathname.split('/').filter(Boolean).pop();
+  try {
+    name = decodeURIComponent(name || '');
+  } catch {}
+  name = (name || '').replace(/[\\/\0]/g, '_').trim();
+  return name || 'remote-recording';
+}
+
+// Follows one request (and its redirects); resolves with the 200 response and its final URL
+function requestMedia(url, { signal }, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'audio/*, video/*, application/octet-stream;q=0.9' },
+      lookup: publicLookup,
+      signal
+    }, response => {
+      const { statusCode } = response;
+      if ([301, 302, 303, 307, 308].includes(statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) return reject(mediaError(`More than ${MAX_REDIRECTS} redirects`, 'TOO_MANY_REDIRECTS'));
+        let next;
+        try {
+          next = parseMediaUrl(new URL(response.headers.location, url).toString());
+        } catch (error) {
+          return reject(error);
+        }
+        return requestMedia(next, { signal }, redirects + 1).then(resolve, reject);
+      }
+      if (statusCode !== 200) {
+        response.resume();
+        return reject(mediaError(`Remote server answered ${statusCode}`, 'REMOTE_FETCH_FAILED'));
+      }
+      resolve({ response, url });
+    });
+    request.setTimeout(IDLE_TIMEOUT_MS, () => {
+      request.destroy(mediaError(`Remote server sent nothing for ${IDLE_TIMEOUT_MS}ms`, 'REMOTE_TIMEOUT'));
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Streams the recording at url into dest. Refuses non-media content types and anything over
+ * MAX_UPLOAD_MB, checked against Content-Length up front and while streaming. Pass { signal } to
+ * stop when the client goes away. Resolves with { filename, bytes, contentType, finalUrl }; dest is
+ * removed on failure.
+ */
+async function downloadRemoteMedia(url, dest, { signal } = {}) {
+  const timeout = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+  const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+  try {
+    const { response, url: finalUrl } = await requestMedia(url, { signal: combined });
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType && !MEDIA_CONTENT_TYPE.test(contentType)) {
+      response.resume();
+      throw mediaError(`url serves ${contentType}, not audio or video`, 'UNSUPPORTED_FORMAT');
+    }
+    const declared = parseInt(response.headers['content-length'], 10);
+    if (declared > MAX_UPLOAD_BYTES) {
+      response.resume();
+      throw mediaError(`Remote file is larger than the ${MAX_UPLOAD_MB} MB upload limit`, 'FILE_TOO_LARGE');
+    }
+
+    let bytes = 0;
+    await new Promise((resolve, reject) => {
+      const file = fs.createWriteStream(dest);
+      response.on('data', chunk => {
+        bytes += chunk.length;
+        if (bytes > MAX_UPLOAD_BYTES) {
+          response.destroy(mediaError(`Remote file is larger than the ${MAX_UPLOAD_MB} MB upload limit`, 'FILE_TOO_LARGE'));
+        }
+      });
+      response.on('error', error => { file.destroy(); reject(error); });
+      response.on('aborted', () => { file.destroy(); reject(mediaError('Remote server closed the connection early', 'REMOTE_FETCH_FAILED')); });
+      file.on('error', reject);
+      file.on('finish', resolve);
+      response.pipe(file);
+    });
+
+    return { filename: remoteFilename(finalUrl, response.headers['content-disposition']), bytes, contentType: contentType || null, finalUrl: finalUrl.toString() };
+  } catch (error) {
+    await fs.promises.unlink(dest).catch(() => {});
+    if (timeout.aborted) throw mediaError(`Download took longer than ${DOWNLOAD_TIMEOUT_MS}ms`, 'REMOTE_TIMEOUT');
+    if (error.code && (REMOTE_ERROR_STATUS[error.code] || ['FILE_TOO_LARGE', 'UNSUPPORTED_FORMAT'].includes(error.code))) throw error;
+    if (signal && signal.aborted) throw error;
+    throw mediaError(`Could not download url: ${error.message}`, 'REMOTE_FETCH_FAILED');
+  }
+}
+
+module.exports = {
+  REMOTE_ERROR_STATUS,
+  isBlockedAddress,
+  publicLookup,
+  parseMediaUrl,
+  downloadRemoteMedia
+};
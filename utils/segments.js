@@ -0,0 +1,191 @@
+// Helpers for whisper's JSON segment list ({ timestamps: { from, to }, offsets: { from, to }, text }).
+const { formatTimestamp } = require('./whisperOutput');
+
+// Words whisper was less sure of than this are flagged lowConfidence
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD) || 0.5;
+// Scripts written without spaces: every token is a word of its own
+const UNSPACED_SCRIPT = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Full transcript text from a segment list, whitespace-normalized
+function segmentsToText(segments) {
+  return (segments || []).map(segment => (segment.text || '').trim()).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function makeSegment(from, to, text) {
+  return {
+    timestamps: { from: formatTimestamp(from), to: formatTimestamp(to) },
+    offsets: { from, to },
+    text
+  };
+}
+
+const roundProbability = p => Math.round(p * 10000) / 10000;
+
+// Control tokens in -ojf output ("[_BEG_]", "[_TT_150]", "<|endoftext|>") aren't part of the text
+function isSpecialToken(token) {
+  return /^\[_.*\]$|^<\|.*\|>$/.test(token.text.trim());
+}
+
+/**
+ * Joins the sub-word tokens of whisper's full JSON output (-ojf: { text, offsets, p }) into words:
+ * [{ timestamps, offsets, text, probability, lowConfidence }]. A token starting with a space starts a
+ * new word; other tokens (word pieces, punctuation) continue the previous one. A word's probability is
+ * the mean of its tokens'.
+ */
+function tokensToWords(tokens) {
+  const words = [];
+  let current = null;
+  const finish = () => {
+    if (!current || !current.text.trim()) return;
+    const probability = roundProbability(current.probabilities.reduce((sum, p) => sum + p, 0) / current.probabilities.length);
+    words.push({
+      ...makeSegment(current.from, current.to, current.text.trim()),
+      probability,
+      lowConfidence: probability < LOW_CONFIDENCE_THRESHOLD
+    });
+  };
+
+  for (const token of tokens || []) {
+    if (typeof token.text !== 'string' || !token.offsets || isSpecialToken(token)) continue;
+    const startsWord = !current || /^\s/.test(token.text) || UNSPACED_SCRIPT.test(token.text);
+    if (startsWord) {
+      finish();
+      current = { text: '', from: token.offsets.from, to: token.offsets.to, probabilities: [] };
+    }
+    current.text += token.text;
+    current.to = Math.max(current.to, token.offsets.to);
+    current.probabilities.push(Number(token.p) || 0);
+  }
+  finish();
+  return words;
+}
+
+/**
+ * Replaces the token list of a -ojf segment with its words and an aggregate confidence (mean token
+ * probability). Segments without tokens are returned unchanged.
+ */
+function addWordTimings(segment) {
+  if (!Array.isArray(segment.tokens)) return segment;
+  const { tokens, ...rest } = segment;
+  const probabilities = tokens.filter(token => typeof token.text === 'string' && !isSpecialToken(token)).map(token => Number(token.p) || 0);
+  return {
+    ...rest,
+    confidence: probabilities.length > 0 ? roundProbability(probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length) : null,
+    words: tokensToWords(tokens)
+  };
+}
+
+// Words with their times moved by shift (ms) and cut off at `until`, if given
+function shiftWords(words, shift, until = Infinity) {
+  return words.map(word => {
+    const from = Math.min(word.offsets.from + shift, until);
+    return { ...word, ...makeSegment(from, Math.max(from, Math.min(word.offsets.to + shift, until)), word.text) };
+  });
+}
+
+/**
+ * Pairs a transcription with its translation. The two whisper runs segment the audio differently,
+ * so segments whose time ranges overlap (directly or through a chain of overlaps) are grouped
+ * into one aligned entry: { timestamps, offsets, text, translation }, plus the speaker of the group's
+ * first original segment when the transcription has speaker labels.
+ */
+function alignSegments(original, translated) {
+  const items = [
+    ...original.map(segment => ({ from: segment.offsets.from, to: segment.offsets.to, text: segment.text, speaker: segment.speaker, side: 'text' })),
+    ...translated.map(segment => ({ from: segment.offsets.from, to: segment.offsets.to, text: segment.text, side: 'translation' }))
+  ].sort((a, b) => a.from - b.from || a.to - b.to);
+
+  const groups = [];
+  for (const item of items) {
+    const group = groups[groups.length - 1];
+    // Touching ranges (one ends where the next starts) are separate segments, not an overlap
+    if (group && item.from < group.to) {
+      group.to = Math.max(group.to, item.to);
+      group[item.side].push(item.text.trim());
+      if (!group.speaker && item.speaker) group.speaker = item.speaker;
+    } else {
+      groups.push({
+        from: item.from,
+        to: item.to,
+        text: item.side === 'text' ? [item.text.trim()] : [],
+        translation: item.side === 'translation' ? [item.text.trim()] : [],
+        speaker: item.speaker || null
+      });
+    }
+  }
+
+  return groups.map(group => ({
+    ...makeSegment(group.from, group.to, group.text.join(' ')),
+    translation: group.translation.join(' '),
+    ...(group.speaker ? { speaker: group.speaker } : {})
+  }));
+}
+
+// Lowercase word without surrounding punctuation, for comparing text across a chunk seam
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+// Drops the words at the start of text that repeat the end of previousText (2+ words, or the whole text)
+function trimRepeatedWords(previousText, text) {
+  const previous = previousText.trim().split(/\s+/).map(normalizeWord);
+  const words = text.trim().split(/\s+/);
+  const normalized = words.map(normalizeWord);
+  for (let k = Math.min(previous.length, words.length, 30); k >= 1; k--) {
+    if (k < 2 && k < words.length) break;
+    const tail = previous.slice(previous.length - k);
+    if (tail.every((word, i) => word === normalized[i])) return words.slice(k).join(' ');
+  }
+  return text.trim();
+}
+
+/**
+ * Joins the segments of separately transcribed chunks into one list.
+ * chunks: [{ start, ownStart, ownEnd (seconds, see utils/chunking.js), segments }] in order.
+ * Offsets are shifted by the chunk start. A segment is kept only by the chunk whose own range holds
+ * its start, so speech in the overlap isn't transcribed twice; words repeated across the seam are
+ * trimmed from the first segment after it, and a segment running past the seam is cut where the next begins.
+ * With complete false, chunks are the finished start of a longer list: the last one is treated as
+ * followed by more, and the last stitched segment may still be cut by the next chunk's first segment.
+ */
+function stitchChunks(chunks, { complete = true } = {}) {
+  const stitched = [];
+  chunks.forEach((chunk, index) => {
+    const isLast = complete && index === chunks.length - 1;
+    const shift = Math.round(chunk.start * 1000);
+    let atSeam = index > 0;
+    for (const segment of chunk.segments) {
+      const from = segment.offsets.from + shift;
+      const to = segment.offsets.to + shift;
+      if (from < chunk.ownStart * 1000 || (!isLast && from >= chunk.ownEnd * 1000)) continue;
+
+      const previous = stitched[stitched.length - 1];
+      let text = segment.text;
+      if (atSeam && previous) text = trimRepeatedWords(previous.text, text);
+      atSeam = false;
+      if (!text.trim()) continue;
+      if (previous && from < previous.offsets.to) {
+        const end = Math.max(previous.offsets.from, from);
+        stitched[stitched.length - 1] = { ...previous, ...makeSegment(previous.offsets.from, end, previous.text) };
+        if (previous.words) stitched[stitched.length - 1].words = shiftWords(previous.words, 0, end);
+      }
+      const next = { ...segment, ...makeSegment(from, to, ` ${text.trim()}`) };
+      if (segment.words) {
+        // Word timings move with the segment; words trimmed at the seam are dropped with the text
+        const trimmedCount = segment.text.trim().split(/\s+/).length - text.trim().split(/\s+/).length;
+        next.words = shiftWords(segment.words.slice(trimmedCount), shift);
+      }
+      stitched.push(next);
+    }
+  });
+  return stitched;
+}
+
+module.exports = {
+  segmentsToText,
+  makeSegment,
+  tokensToWords,
+  addWordTimings,
+  alignSegments,
+  stitchChunks
+};
@@ -0,0 +1,97 @@
+// Video files with the transcript's subtitles, for video uploads. Two modes:
+//   mux  - adds the subtitles as a selectable track; video and audio are copied, so it is fast.
+//          MP4/MOV inputs get an MP4 with mov_text subtitles, anything else a Matroska file with SRT.
+//   burn - draws the subtitles into the picture (re-encodes to H.264/AAC MP4); plays everywhere.
+const path = require('path');
+const fs = require('fs').promises;
+const { runProcessChecked } = require('./processRunner');
+const { buildCues, toSrt } = require('./subtitles');
+
+const SUBTITLE_VIDEO_MODES = ['mux', 'burn'];
+// Burning re-encodes the whole video, which can take longer than the recording itself
+const RENDER_TIMEOUT_MS = parseInt(process.env.RENDER_TIMEOUT_MS, 10) || 2 * 60 * 60 * 1000;
+// Containers whose subtitle tracks can be muxed as mov_text without changing the container
+const MP4_FORMATS = /\b(mov|mp4|m4a)\b/;
+
+function invalidSubtitleVideo(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_SUBTITLE_VIDEO';
+  return err;
+}
+
+// Reads the per-request subtitleVideo field; returns the mode, or null when no video is wanted
+function parseSubtitleVideoOption(value) {
+  if (value === undefined || value === null || value === '' || /^(false|0|no|none|off)$/i.test(String(value))) return null;
+  const mode = String(value).toLowerCase();
+  if (!SUBTITLE_VIDEO_MODES.includes(mode)) {
+    throw invalidSubtitleVideo(`subtitleVideo must be one of: ${SUBTITLE_VIDEO_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// Output container for a mode and the probed input format: { extension, subtitleCodec }
+function outputFormat(mode, media) {
+  if (mode === 'burn' || MP4_FORMATS.test(media.format || '')) {
+    return { extension: 'mp4', subtitleCodec: 'mov_text' };
+  }
+  return { extension: 'mkv', subtitleCodec: 'srt' };
+}
+
+function renderArgs(mode, { inputPath, subtitleFile, outputPath, format }) {
+  if (mode === 'mux') {
+    return [
+      '-hide_banner', '-y', '-i', inputPath, '-i', subtitleFile,
+      '-map', '0:v', '-map', '0:a?', '-map', '1:0',
+      '-c', 'copy', '-c:s', format.subtitleCodec, '-disposition:s:0', 'default',
+      outputPath
+    ];
+  }
+  // The subtitles filter parses its argument as a filter option, where paths with drive letters or
+  // quotes need escaping; running in the subtitle file's directory lets it take a bare file name
+  return [
+    '-hide_banner', '-y', '-i', inputPath,
+    '-vf', `subtitles=${path.basename(subtitleFile)}`,
+    '-map', '0:v:0', '-map', '0:a?',
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-c:a', 'aac',
+    '-movflags', '+faststart',
+    outputPath
+  ];
+}
+
+/**
+ * Renders the input video with subtitles built from segments. The SRT is written next to outputPath
+ * (outputDir/name.srt) and removed afterwards; the video is written to outputDir/name.<mp4|mkv>.
+ * Returns { path, extension, bytes }.
+ */
+async function renderSubtitledVideo(ffmpegPath, { mode, inputPath, media, segments, outputDir, name }, { signal } = {}) {
+  const format = outputFormat(mode, media);
+  const subtitlePath = path.join(outputDir, `${name}.srt`);
+  const outputPath = path.join(outputDir, `${name}.${format.extension}`);
+  await fs.writeFile(subtitlePath, toSrt(buildCues(segments, {})));
+  try {
+    await runProcessChecked(ffmpegPath, renderArgs(mode, {
+      inputPath: path.resolve(inputPath),
+      subtitleFile: subtitlePath,
+      outputPath,
+      format
+    }), {
+      label: mode === 'burn' ? 'Burning subtitles into video' : 'Adding subtitle track to video',
+      cwd: outputDir,
+      signal,
+      timeoutMs: RENDER_TIMEOUT_MS
+    });
+  } catch (error) {
+    await fs.unlink(outputPath).catch(() => {});
+    throw error;
+  } finally {
+    await fs.unlink(subtitlePath).catch(() => {});
+  }
+  const { size } = await fs.stat(outputPath);
+  return { path: outputPath, extension: format.extension, bytes: size };
+}
+
+module.exports = {
+  SUBTITLE_VIDEO_MODES,
+  parseSubtitleVideoOption,
+  renderSubtitledVideo
+};
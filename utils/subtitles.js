@@ -0,0 +1,257 @@
+// Caption rendering (SRT, WebVTT, timed JSON) from whisper segments.
+
+const DEFAULT_OPTIONS = {
+  maxLineLength: 42, // characters per caption line (common broadcast guideline)
+  maxLines: 2, // lines per cue
+  maxCueChars: 84, // characters per cue, across all its lines
+  split: true, // break segments that don't fit into several cues
+  merge: false, // join short neighbouring segments into one cue when they fit
+  maxMergeGap: 500, // ms of silence allowed between segments that are merged
+  speakerLabels: true // prefix "Name: " to the first cue of each speaker turn
+};
+
+// [min, max] accepted for each numeric option
+const OPTION_BOUNDS = {
+  maxLineLength: [10, 200],
+  maxLines: [1, 10],
+  maxCueChars: [10, 2000],
+  maxMergeGap: [0, 60000]
+};
+
+function invalidExportInput(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_EXPORT_INPUT';
+  return err;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Fills in defaults and validates caption options. Values may arrive as strings from form bodies.
+ * If only maxLineLength/maxLines are given, maxCueChars follows them.
+ */
+function resolveSubtitleOptions(raw = {}) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  for (const [key, [min, max]] of Object.entries(OPTION_BOUNDS)) {
+    if (raw[key] === undefined || raw[key] === '') continue;
+    const value = Number(raw[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw invalidExportInput(`Option "${key}" must be an integer between ${min} and ${max}`);
+    }
+    options[key] = value;
+  }
+  if (raw.maxCueChars === undefined || raw.maxCueChars === '') {
+    options.maxCueChars = options.maxLineLength * options.maxLines;
+  }
+  if (raw.split !== undefined) options.split = parseBoolean(raw.split);
+  if (raw.merge !== undefined) options.merge = parseBoolean(raw.merge);
+  if (raw.speakerLabels !== undefined) options.speakerLabels = parseBoolean(raw.speakerLabels);
+
+  return options;
+}
+
+// Reads a time either as milliseconds (whisper "offsets") or seconds (timed JSON "start"/"end")
+function readTime(segment, edge) {
+  if (segment.offsets && segment.offsets[edge] !== undefined) return Number(segment.offsets[edge]);
+  const seconds = edge === 'from' ? segment.start : segment.end;
+  return Math.round(Number(seconds) * 1000);
+}
+
+/**
+ * Converts whisper segments ({ offsets: { from, to }, text }) or timed JSON segments
+ * ({ start, end, text } in seconds) into cues of { start, end, text } in milliseconds.
+ * A segment's speaker label and translation (task=both) are kept. Empty segments are dropped.
+ */
+function normalizeSegments(segments) {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    throw invalidExportInput('No segments provided');
+  }
+
+  const cues = [];
+  segments.forEach((segment, index) => {
+    if (!segment || typeof segment.text !== 'string') {
+      throw invalidExportInput(`Segment ${index} has no text`);
+    }
+    const start = readTime(segment, 'from');
+    const end = readTime(segment, 'to');
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end < start) {
+      throw invalidExportInput(`Segment ${index} has invalid timing`);
+    }
+    const text = segment.text.replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    const cue = { start, end, text };
+    if (segment.speaker) cue.speaker = String(segment.speaker);
+    if (typeof segment.translation === 'string' && segment.translation.trim()) {
+      cue.translation = segment.translation.replace(/\s+/g, ' ').trim();
+    }
+    cues.push(cue);
+  });
+  return cues;
+}
+
+// Greedy word wrap. Words longer than a line (or scripts without spaces) are hard-broken.
+function wrapLines(text, maxLineLength) {
+  const lines = [];
+  let line = '';
+  for (let word of text.split(' ')) {
+    while (word.length > maxLineLength) {
+      if (line) { lines.push(line); line = ''; }
+      lines.push(word.slice(0, maxLineLength));
+      word = word.slice(maxLineLength);
+    }
+    if (!word) continue;
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= maxLineLength) line += ` ${word}`;
+    else { lines.push(line); line = word; }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function fitsInCue(text, options) {
+  return text.length <= options.maxCueChars && wrapLines(text, options.maxLineLength).length <= options.maxLines;
+}
+
+// Breaks one cue into several that fit, sharing its time span in proportion to text length
+function splitCue(cue, options) {
+  if (fitsInCue(cue.text, options)) return [cue];
+
+  const pieces = [];
+  let current = '';
+  for (const word of cue.text.split(' ')) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (!current || fitsInCue(candidate, options)) {
+      current = candidate;
+    } else {
+      pieces.push(current);
+      current = word;
+    }
+  }
+  if (current) pieces.push(current);
+
+  // A single word that is still too long is hard-broken into cue-sized chunks
+  const chunks = pieces.flatMap(piece => {
+    if (fitsInCue(piece, options)) return [piece];
+    const size = Math.min(options.maxCueChars, options.maxLineLength * options.maxLines);
+    const parts = [];
+    for (let i = 0; i < piece.length; i += size) parts.push(piece.slice(i, i + size));
+    return parts;
+  });
+
+  const totalChars = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const duration = cue.end - cue.start;
+  let start = cue.start;
+  let charsSoFar = 0;
+  return chunks.map((text, index) => {
+    charsSoFar += text.length;
+    const end = index === chunks.length - 1 ? cue.end : cue.start + Math.round(duration * charsSoFar / totalChars);
+    const piece = { start, end, text };
+    if (cue.speaker) piece.speaker = cue.speaker;
+    start = end;
+    return piece;
+  });
+}
+
+// Cues of different speakers are never merged
+function mergeCues(cues, options) {
+  const merged = [];
+  for (const cue of cues) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.speaker === cue.speaker && cue.start - previous.end <= options.maxMergeGap) {
+      const text = `${previous.text} ${cue.text}`;
+      if (fitsInCue(text, options)) {
+        previous.text = text;
+        previous.end = cue.end;
+        continue;
+      }
+    }
+    merged.push({ ...cue });
+  }
+  return merged;
+}
+
+// Prefixes the speaker's name where the speaker changes, before cues are split so the prefix counts towards their length
+function labelSpeakerTurns(cues) {
+  let previousSpeaker = null;
+  return cues.map(cue => {
+    if (!cue.speaker) {
+      previousSpeaker = null;
+      return cue;
+    }
+    const labelled = cue.speaker === previousSpeaker ? cue : { ...cue, text: `${cue.speaker}: ${cue.text}` };
+    previousSpeaker = cue.speaker;
+    return labelled;
+  });
+}
+
+/**
+ * Turns segments into readable cues: label speaker turns, split oversized ones, optionally merge
+ * short neighbours, then wrap each cue into lines.
+ */
+function buildCues(segments, rawOptions) {
+  const options = resolveSubtitleOptions(rawOptions);
+  let cues = normalizeSegments(segments);
+  if (options.speakerLabels) cues = labelSpeakerTurns(cues);
+  if (options.split) cues = cues.flatMap(cue => splitCue(cue, options));
+  if (options.merge) cues = mergeCues(cues, options);
+  return cues.map(cue => ({ ...cue, lines: wrapLines(cue.text, options.maxLineLength) }));
+}
+
+function formatClock(ms, separator) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(cues) {
+  return cues.map((cue, index) =>
+    `${index + 1}\n${formatClock(cue.start, ',')} --> ${formatClock(cue.end, ',')}\n${cue.lines.join('\n')}\n`
+  ).join('\n');
+}
+
+function toVtt(cues) {
+  const body = cues.map(cue =>
+    `${formatClock(cue.start, '.')} --> ${formatClock(cue.end, '.')}\n${cue.lines.join('\n')}\n`
+  ).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+// Normalized timed JSON: times in seconds, text already wrapped into caption lines
+function toTimedJson(cues) {
+  return JSON.stringify({
+    duration: cues.length ? cues[cues.length - 1].end / 1000 : 0,
+    segments: cues.map((cue, index) => ({
+      id: index + 1,
+      start: cue.start / 1000,
+      end: cue.end / 1000,
+      ...(cue.speaker ? { speaker: cue.speaker } : {}),
+      text: cue.text,
+      lines: cue.lines
+    }))
+  }, null, 2);
+}
+
+const SUBTITLE_FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8', render: toSrt },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8', render: toVtt },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8', render: toTimedJson }
+};
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  invalidExportInput,
+  resolveSubtitleOptions,
+  normalizeSegments,
+  wrapLines,
+  buildCues,
+  formatClock,
+  toSrt,
+  toVtt,
+  toTimedJson
+};
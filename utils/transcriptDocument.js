@@ -0,0 +1,117 @@
+// Document model shared by the PDF and DOCX exporters: title, metadata rows and transcript blocks.
+const { getLanguage, isRightToLeft } = require('../constants/languages');
+const { normalizeSegments, invalidExportInput } = require('./subtitles');
+
+// "1:02:03" for long recordings, "02:03" otherwise
+function formatTimecode(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const mmss = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  if (typeof value === 'boolean') return value;
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+// Joins consecutive segments of the same speaker into one block
+function groupBySpeaker(blocks) {
+  const grouped = [];
+  for (const block of blocks) {
+    const previous = grouped[grouped.length - 1];
+    if (previous && previous.speaker === block.speaker) {
+      previous.text += ` ${block.text}`;
+      if (block.translation) previous.translation = previous.translation ? `${previous.translation} ${block.translation}` : block.translation;
+      previous.end = block.end;
+      continue;
+    }
+    grouped.push({ ...block });
+  }
+  return grouped;
+}
+
+/**
+ * Builds the export model from a request body.
+ * Body: { text?, segments?, filename?, title?, language?, duration? (seconds), sourceFilename?, date?,
+ *         groupBy?: 'segment' | 'speaker', timestamps?: boolean, include?: 'original' | 'translation' | 'both' }
+ * With segments, blocks carry timing; with only text, each paragraph of the text becomes a block.
+ * Aligned segments from task=both carry a translation: include picks the original text, the English
+ * translation, or both (the default when translations are present).
+ */
+function buildTranscriptDocument(body = {}) {
+  const { text, segments, filename, title, duration, sourceFilename, date, groupBy, include } = body;
+  let { language } = body;
+
+  if (groupBy !== undefined && !['segment', 'speaker'].includes(groupBy)) {
+    throw invalidExportInput('groupBy must be "segment" or "speaker"');
+  }
+  if (include !== undefined && !['original', 'translation', 'both'].includes(include)) {
+    throw invalidExportInput('include must be "original", "translation" or "both"');
+  }
+
+  let blocks;
+  if (Array.isArray(segments) && segments.length > 0) {
+    blocks = normalizeSegments(segments).map(cue => ({
+      start: cue.start,
+      end: cue.end,
+      speaker: cue.speaker || null,
+      text: cue.text,
+      translation: cue.translation || null
+    }));
+    if (include === 'translation') {
+      if (!blocks.some(block => block.translation)) throw invalidExportInput('Segments have no translation');
+      // The translation is English, whatever the source language was
+      blocks = blocks.filter(block => block.translation)
+        .map(block => ({ ...block, text: block.translation, translation: null }));
+      language = 'en';
+    } else if (include === 'original') {
+      blocks.forEach(block => { block.translation = null; });
+    }
+    if (groupBy === 'speaker' && blocks.some(block => block.speaker)) blocks = groupBySpeaker(blocks);
+  } else if (typeof text === 'string') {
+    blocks = text.split(/\n\s*\n|\r?\n/).map(p => p.trim()).filter(Boolean)
+      .map(p => ({ start: null, end: null, speaker: null, text: p, translation: null }));
+  }
+  if (!blocks || blocks.length === 0) throw invalidExportInput('Empty transcript');
+
+  const hasTiming = blocks.some(block => block.start !== null);
+  const showTimestamps = hasTiming && parseBoolean(body.timestamps, true);
+  blocks.forEach(block => {
+    block.timestamp = block.start !== null ? formatTimecode(block.start) : null;
+  });
+
+  const languageInfo = language ? getLanguage(language) : null;
+  const lastEnd = hasTiming ? Math.max(...blocks.map(block => block.end || 0)) : 0;
+  const durationMs = Number(duration) > 0 ? Math.round(Number(duration) * 1000) : lastEnd;
+  const exportDate = date ? new Date(date) : new Date();
+
+  const metadata = [];
+  if (sourceFilename || filename) metadata.push({ label: 'Source', value: String(sourceFilename || filename) });
+  if (language) metadata.push({ label: 'Language', value: languageInfo ? `${languageInfo.name} (${language})` : String(language) });
+  if (durationMs > 0) metadata.push({ label: 'Duration', value: formatTimecode(durationMs) });
+  metadata.push({
+    label: 'Date',
+    value: (isNaN(exportDate.getTime()) ? new Date() : exportDate).toISOString().slice(0, 10)
+  });
+
+  return {
+    title: title ? String(title) : 'Transcript',
+    language: {
+      code: language || null,
+      name: languageInfo ? languageInfo.name : null,
+      rtl: Boolean(language && isRightToLeft(language))
+    },
+    metadata,
+    blocks,
+    showTimestamps
+  };
+}
+
+module.exports = {
+  buildTranscriptDocument,
+  formatTimecode
+};
@@ -0,0 +1,433 @@
+// Editing saved transcripts. Every edit of the segment list is stored as a revision holding the splices
+// it made ({ index, before, after }) over just the segments that changed, so any earlier revision can be
+// rebuilt by undoing the later ones, diffed against another one, or restored as a new revision.
+// Revision 1 is the transcription itself.
+const { segmentsToText, makeSegment, alignSegments } = require('./segments');
+const { parseSpeakerNames, renameSpeakers, listSpeakers } = require('./diarization');
+const { validateSegments, transcriptError } = require('./transcriptStore');
+
+// Oldest revisions are dropped beyond this many, or once the log's JSON outgrows the byte budget (the latest
+// revision is always kept); dropped revisions can no longer be restored
+const MAX_REVISIONS = Math.max(1, parseInt(process.env.MAX_TRANSCRIPT_REVISIONS, 10) || 200);
+const MAX_REVISION_BYTES = Math.max(1, parseInt(process.env.MAX_TRANSCRIPT_REVISION_BYTES, 10) || 5 * 1024 * 1024);
+// Largest changed range (old × new segments, 4 bytes each while aligning) a whole-list edit is aligned over;
+// beyond it the range is stored as one splice
+const MAX_DIFF_CELLS = 4000000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_SPEAKER_LENGTH = 100;
+
+// Segment list edits are made to: segments, or words for granularity=word transcripts
+function segmentsKey(transcript) {
+  return transcript.segments || !transcript.words ? 'segments' : 'words';
+}
+
+function currentRevision(transcript) {
+  return transcript.revision || 1;
+}
+
+// Transcript as returned by the API: the stored revision log is left out
+function publicTranscript(transcript) {
+  const { revisions, ...rest } = transcript;
+  return { ...rest, revision: currentRevision(transcript) };
+}
+
+function segmentAt(segments, index) {
+  const position = Number(index);
+  if (!Number.isInteger(position) || position < 0 || position >= segments.length) {
+    throw transcriptError(`Segment ${index} does not exist (the transcript has ${segments.length})`, 'SEGMENT_NOT_FOUND');
+  }
+  return position;
+}
+
+function readTime(value, name) {
+  const ms = Number(value);
+  if (!Number.isFinite(ms) || ms < 0) throw transcriptError(`${name} must be a time in milliseconds`);
+  return Math.round(ms);
+}
+
+// Word timings and confidence describe the text whisper produced; they are dropped once it is edited
+function withoutWordData({ words, confidence, ...segment }) {
+  return segment;
+}
+
+/**
+ * Changes one segment. edit: { text?, from?, to? (ms), speaker? (string, or null to clear) }.
+ * Returns { segments, changes }.
+ */
+function editSegment(segments, index, edit = {}) {
+  const position = segmentAt(segments, index);
+  const { text, from, to, speaker } = edit;
+  if (text === undefined && from === undefined && to === undefined && speaker === undefined) {
+    throw transcriptError('Nothing to change: send text, from, to and/or speaker');
+  }
+  const segment = segments[position];
+  let updated = { ...segment };
+
+  if (text !== undefined || from !== undefined || to !== undefined) {
+    if (text !== undefined && (typeof text !== 'string' || !text.trim())) throw transcriptError('text must be a non-empty string');
+    const start = from !== undefined ? readTime(from, 'from') : segment.offsets.from;
+    const end = to !== undefined ? readTime(to, 'to') : segment.offsets.to;
+    if (end < start) throw transcriptError('to must not be before from');
+    updated = { ...withoutWordData(updated), ...makeSegment(start, end, text !== undefined ? ` ${text.trim()}` : segment.text) };
+  }
+  if (speaker !== undefined) {
+    if (speaker !== null && (typeof speaker !== 'string' || !speaker.trim() || speaker.length > MAX_SPEAKER_LENGTH)) {
+      throw transcriptError(`speaker must be a non-empty string of at most ${MAX_SPEAKER_LENGTH} characters, or null`);
+    }
+    if (speaker === null) delete updated.speaker;
+    else updated.speaker = speaker.trim();
+  }
+
+  const next = segments.slice();
+  next[position] = updated;
+  return { segments: next, changes: [{ index: position, before: [segment], after: [updated] }] };
+}
+
+/**
+ * Joins `count` consecutive segments starting at index into one, keeping the first one's speaker.
+ * Returns { segments, changes }.
+ */
+function mergeSegments(segments, index, count = 2) {
+  const position = segmentAt(segments, index);
+  const total = Number(count);
+  if (!Number.isInteger(total) || total < 2 || position + total > segments.length) {
+    throw transcriptError(`count must be an integer of at least 2 that stays within the ${segments.length} segments`);
+  }
+  const merging = segments.slice(position, position + total);
+  const from = Math.min(...merging.map(segment => segment.offsets.from));
+  const to = Math.max(...merging.map(segment => segment.offsets.to));
+  const merged = { ...withoutWordData(merging[0]), ...makeSegment(from, to, ` ${segmentsToText(merging)}`) };
+  if (merging.every(segment => Array.isArray(segment.words))) merged.words = merging.flatMap(segment => segment.words);
+
+  const next = segments.slice();
+  next.splice(position, total, merged);
+  return { segments: next, changes: [{ index: position, before: merging, after: [merged] }] };
+}
+
+/**
+ * Splits a segment in two at a character position of its (trimmed) text. at (ms) is where the second
+ * part starts; by default the time is shared in proportion to text length. Returns { segments, changes }.
+ */
+function splitSegment(segments, index, { position, at } = {}) {
+  const segmentIndex = segmentAt(segments, index);
+  const segment = segments[segmentIndex];
+  const text = segment.text.trim();
+  const cut = Number(position);
+  if (!Number.isInteger(cut) || cut <= 0 || cut >= text.length) {
+    throw transcriptError(`position must be a character index between 1 and ${text.length - 1}`);
+  }
+  const first = text.slice(0, cut).trim();
+  const second = text.slice(cut).trim();
+  if (!first || !second) throw transcriptError('Both parts of a split must contain text');
+
+  const { from, to } = segment.offsets;
+  const splitAt = at !== undefined ? readTime(at, 'at') : from + Math.round((to - from) * cut / text.length);
+  if (splitAt < from || splitAt > to) throw transcriptError(`at must be between ${from} and ${to}`);
+
+  const parts = [
+    { ...withoutWordData(segment), ...makeSegment(from, splitAt, ` ${first}`) },
+    { ...withoutWordData(segment), ...makeSegment(splitAt, to, ` ${second}`) }
+  ];
+  if (Array.isArray(segment.words)) {
+    parts[0].words = segment.words.filter(word => word.offsets.from < splitAt);
+    parts[1].words = segment.words.filter(word => word.offsets.from >= splitAt);
+  }
+
+  const next = segments.slice();
+  next.splice(segmentIndex, 1, ...parts);
+  return { segments: next, changes: [{ index: segmentIndex, before: [segment], after: parts }] };
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find and replace across all segments. options: { find, replace, caseSensitive (false), wholeWord (false) }.
+ * Returns { segments, changes, replacements }.
+ */
+function replaceText(segments, { find, replace, caseSensitive, wholeWord } = {}) {
+  if (typeof find !== 'string' || !find) throw transcriptError('find must be a non-empty string');
+  if (typeof replace !== 'string') throw transcriptError('replace must be a string');
+
+  const source = wholeWord ? `(?<![\\p{L}\\p{N}_])${escapeRegExp(find)}(?![\\p{L}\\p{N}_])` : escapeRegExp(find);
+  const pattern = new RegExp(source, caseSensitive ? 'gu' : 'giu');
+  const next = segments.slice();
+  const changes = [];
+  let replacements = 0;
+
+  segments.forEach((segment, index) => {
+    let count = 0;
+    const text = segment.text.replace(pattern, () => { count++; return replace; });
+    if (count === 0) return;
+    replacements += count;
+    const updated = { ...withoutWordData(segment), text: text.trim() ? ` ${text.trim()}` : '' };
+    next[index] = updated;
+    changes.push({ index, before: [segment], after: [updated] });
+  });
+  return { segments: next, changes, replacements };
+}
+
+// Replaces the whole segment list (PATCH with segments); only the segments that differ are recorded
+function replaceSegments(segments, replacement) {
+  validateSegments(replacement);
+  return { segments: replacement, changes: segmentChanges(segments, replacement) };
+}
+
+function undoChanges(segments, changes) {
+  const restored = segments.slice();
+  for (const change of changes.slice().reverse()) {
+    restored.splice(change.index, change.after.length, ...change.before);
+  }
+  return restored;
+}
+
+// Oldest revision that can still be rebuilt
+function oldestRevision(transcript) {
+  const revisions = transcript.revisions || [];
+  return revisions.length > 0 && revisions[0].revision > 2 ? revisions[0].revision - 1 : 1;
+}
+
+// Segment list as it was at a revision
+function segmentsAtRevision(transcript, revision) {
+  const number = Number(revision);
+  if (!Number.isInteger(number) || number < 1 || number > currentRevision(transcript)) {
+    throw transcriptError(`Revision ${revision} does not exist (latest is ${currentRevision(transcript)})`, 'REVISION_NOT_FOUND');
+  }
+  if (number < oldestRevision(transcript)) {
+    throw transcriptError(`Revision ${revision} is no longer kept (oldest is ${oldestRevision(transcript)})`, 'REVISION_NOT_FOUND');
+  }
+  let segments = transcript[segmentsKey(transcript)] || [];
+  for (const entry of (transcript.revisions || []).slice().reverse()) {
+    if (entry.revision <= number) break;
+    segments = undoChanges(segments, entry.changes);
+  }
+  return segments;
+}
+
+/**
+ * Fields for repository.update that store an edit as a new revision: the new segment list, the text,
+ * speakers and aligned translation (task=both) derived from it, and the revision log entry.
+ */
+function recordRevision(transcript, { operation, details = {}, segments, changes }) {
+  const key = segmentsKey(transcript);
+  const revision = currentRevision(transcript) + 1;
+  const revisions = [...(transcript.revisions || []), {
+    revision,
+    createdAt: new Date().toISOString(),
+    operation,
+    details,
+    changes
+  }].slice(-MAX_REVISIONS);
+  let bytes = revisions.reduce((sum, entry) => sum + Buffer.byteLength(JSON.stringify(entry)), 0);
+  while (revisions.length > 1 && bytes > MAX_REVISION_BYTES) bytes -= Buffer.byteLength(JSON.stringify(revisions.shift()));
+
+  const fields = {
+    [key]: segments,
+    text: segmentsToText(segments),
+    speakers: listSpeakers(segments),
+    revision,
+    revisions
+  };
+  if (transcript.translation && key === 'segments') fields.aligned = alignSegments(segments, transcript.translation.segments);
+  return fields;
+}
+
+// Revision log as listed by the API: revision 1 is the transcription, later ones the edits
+function listRevisions(transcript) {
+  const entries = (transcript.revisions || []).map(({ revision, createdAt, operation, details, changes }) => ({
+    revision,
+    createdAt,
+    operation,
+    details,
+    segmentsChanged: changes.reduce((sum, change) => sum + Math.max(change.before.length, change.after.length), 0)
+  }));
+  const first = { revision: 1, createdAt: transcript.createdAt, operation: 'transcribe', details: {}, segmentsChanged: 0 };
+  return oldestRevision(transcript) === 1 ? [first, ...entries] : entries;
+}
+
+// Longest-common-subsequence alignment of two lists; returns [{ type: 'equal'|'delete'|'insert', a?, b? }]
+function diffSequences(a, b, equals) {
+  // Edits are usually local, so the common head and tail are skipped before the quadratic part
+  let head = 0;
+  while (head < a.length && head < b.length && equals(a[head], b[head])) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && equals(a[a.length - 1 - tail], b[b.length - 1 - tail])) tail++;
+
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+  const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i][j] = equals(midA[i], midB[j]) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < head; k++) ops.push({ type: 'equal', a: k, b: k });
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && equals(midA[i], midB[j])) {
+      ops.push({ type: 'equal', a: head + i++, b: head + j++ });
+    } else if (i < midA.length && (j === midB.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      ops.push({ type: 'delete', a: head + i++ });
+    } else {
+      ops.push({ type: 'insert', b: head + j++ });
+    }
+  }
+  for (let k = 0; k < tail; k++) ops.push({ type: 'equal', a: a.length - tail + k, b: b.length - tail + k });
+  return ops;
+}
+
+// Word-level diff of two texts as [{ type: 'equal'|'delete'|'insert', text }]
+function diffWords(before, after) {
+  const a = before.trim().split(/\s+/).filter(Boolean);
+  const b = after.trim().split(/\s+/).filter(Boolean);
+  const parts = [];
+  for (const op of diffSequences(a, b, (x, y) => x === y)) {
+    const text = op.type === 'insert' ? b[op.b] : a[op.a];
+    const last = parts[parts.length - 1];
+    if (last && last.type === op.type) last.text += ` ${text}`;
+    else parts.push({ type: op.type, text });
+  }
+  return parts;
+}
+
+// Groups consecutive non-equal diff ops into hunks: [{ fromIndex, toIndex, before: [...], after: [...] }]
+function diffHunks(ops, before, after) {
+  const hunks = [];
+  let hunk = null;
+  let positionA = 0;
+  let positionB = 0;
+
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      hunk = null;
+      positionA++;
+      positionB++;
+      continue;
+    }
+    if (!hunk) {
+      hunk = { fromIndex: positionA, toIndex: positionB, before: [], after: [] };
+      hunks.push(hunk);
+    }
+    if (op.type === 'delete') { hunk.before.push(before[op.a]); positionA++; }
+    else { hunk.after.push(after[op.b]); positionB++; }
+  }
+  return hunks;
+}
+
+/**
+ * Splices that turn one segment list into another, covering only the segments that differ. Each change's
+ * index is its position in the new list, so undoChanges can take them back last to first. Lists of the same
+ * length are compared position by position; other changed ranges are aligned unless that would compare more
+ * than MAX_DIFF_CELLS pairs, in which case the range is stored as one splice.
+ */
+function segmentChanges(before, after) {
+  const keysA = before.map(segment => JSON.stringify(segment));
+  const keysB = after.map(segment => JSON.stringify(segment));
+  let ops;
+  if (keysA.length === keysB.length) {
+    ops = keysA.flatMap((key, index) => (key === keysB[index]
+      ? [{ type: 'equal', a: index, b: index }]
+      : [{ type: 'delete', a: index }, { type: 'insert', b: index }]));
+  } else {
+    let head = 0;
+    while (head < keysA.length && head < keysB.length && keysA[head] === keysB[head]) head++;
+    let tail = 0;
+    while (tail < keysA.length - head && tail < keysB.length - head &&
+      keysA[keysA.length - 1 - tail] === keysB[keysB.length - 1 - tail]) tail++;
+    const changedA = keysA.length - head - tail;
+    const changedB = keysB.length - head - tail;
+    ops = changedA * changedB <= MAX_DIFF_CELLS
+      ? diffSequences(keysA, keysB, (x, y) => x === y)
+      : [
+        ...Array.from({ length: head }, (_, k) => ({ type: 'equal', a: k, b: k })),
+        ...Array.from({ length: changedA }, (_, k) => ({ type: 'delete', a: head + k })),
+        ...Array.from({ length: changedB }, (_, k) => ({ type: 'insert', b: head + k })),
+        ...Array.from({ length: tail }, (_, k) => ({ type: 'equal', a: keysA.length - tail + k, b: keysB.length - tail + k }))
+      ];
+  }
+  return diffHunks(ops, before, after).map(hunk => ({ index: hunk.toIndex, before: hunk.before, after: hunk.after }));
+}
+
+const sameSegment = (x, y) => x.text.trim() === y.text.trim() && x.offsets.from === y.offsets.from &&
+  x.offsets.to === y.offsets.to && (x.speaker || null) === (y.speaker || null);
+
+/**
+ * Differences between two revisions as hunks of consecutive changed segments:
+ * [{ fromIndex, toIndex, before: [segments], after: [segments], words }] where fromIndex/toIndex are the
+ * hunk's position in each revision and words is a word-level diff of the hunk's text.
+ */
+function diffRevisions(transcript, fromRevision, toRevision) {
+  const before = segmentsAtRevision(transcript, fromRevision);
+  const after = segmentsAtRevision(transcript, toRevision);
+  return diffHunks(diffSequences(before, after, sameSegment), before, after).map(entry => ({
+    ...entry,
+    before: entry.before.map(withoutWordData),
+    after: entry.after.map(withoutWordData),
+    words: diffWords(segmentsToText(entry.before), segmentsToText(entry.after))
+  }));
+}
+
+// Restores the segments of an earlier revision as a new revision
+function revertToRevision(transcript, revision) {
+  const current = transcript[segmentsKey(transcript)] || [];
+  const restored = segmentsAtRevision(transcript, revision);
+  return { segments: restored, changes: segmentChanges(current, restored) };
+}
+
+/**
+ * Validates a PATCH body: { title?, segments?, speakerNames? ({ "Speaker 1": "Alice" }) }.
+ * Returns a function for repository.update that applies it; segment and speaker changes become a revision.
+ */
+function buildTranscriptChanges(body = {}) {
+  const { title, segments } = body;
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+    throw transcriptError(`title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (segments !== undefined) validateSegments(segments);
+  const names = parseSpeakerNames(body.speakerNames);
+  if (title === undefined && segments === undefined && !names) {
+    throw transcriptError('Nothing to update: send title, segments and/or speakerNames');
+  }
+
+  return transcript => {
+    const fields = {};
+    if (title !== undefined) fields.title = title.trim();
+
+    const key = segmentsKey(transcript);
+    let edit = null;
+    if (segments !== undefined) edit = { operation: 'replace-segments', ...replaceSegments(transcript[key] || [], segments) };
+    if (names) {
+      const current = edit ? edit.segments : (transcript[key] || []);
+      const renamed = renameSpeakers(current, names);
+      edit = edit
+        ? { ...edit, segments: renamed, changes: segmentChanges(transcript[key] || [], renamed) }
+        : { operation: 'rename-speakers', segments: renamed, changes: segmentChanges(current, renamed) };
+      edit.details = { speakerNames: names };
+      if (transcript.translation) {
+        fields.translation = { ...transcript.translation, segments: renameSpeakers(transcript.translation.segments, names) };
+      }
+    }
+    if (edit) Object.assign(fields, recordRevision({ ...transcript, ...fields }, edit));
+    return fields;
+  };
+}
+
+module.exports = {
+  segmentsKey,
+  currentRevision,
+  publicTranscript,
+  editSegment,
+  mergeSegments,
+  splitSegment,
+  replaceText,
+  replaceSegments,
+  segmentsAtRevision,
+  recordRevision,
+  listRevisions,
+  diffWords,
+  diffRevisions,
+  revertToRevision,
+  buildTranscriptChanges
+};
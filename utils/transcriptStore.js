@@ -0,0 +1,224 @@
+// Saved transcripts. Routes talk to a repository ({ init, create, get, update, remove, list }) so the
+// storage can be swapped; the built-in one keeps one JSON file per transcript in TRANSCRIPTS_DIR and an
+// in-memory index of summaries and segment text for listing and search.
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const DEFAULT_TRANSCRIPTS_DIR = path.join(process.cwd(), 'data', 'transcripts');
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+// Matching segments returned per transcript in search results
+const MAX_SEARCH_MATCHES = 5;
+
+function transcriptError(message, code = 'INVALID_TRANSCRIPT') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Checks a segment list sent by a client: text plus { from, to } offsets in milliseconds
+function validateSegments(segments) {
+  if (!Array.isArray(segments)) throw transcriptError('segments must be an array');
+  segments.forEach((segment, index) => {
+    if (!segment || typeof segment.text !== 'string') throw transcriptError(`Segment ${index} has no text`);
+    const { from, to } = segment.offsets || {};
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from < 0 || to < from) {
+      throw transcriptError(`Segment ${index} has invalid offsets`);
+    }
+  });
+}
+
+// Lowercase text without diacritics, so "Muller" finds "Müller"
+function foldText(text) {
+  return String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// Segments a transcript is searched and exported by: its segments, or its words for granularity=word
+function transcriptSegments(transcript) {
+  return transcript.segments || transcript.words || [];
+}
+
+// List entry without the segment data
+function summarize(transcript) {
+  return {
+    id: transcript.id,
+    title: transcript.title,
+    sourceFilename: transcript.sourceFilename,
+    jobId: transcript.jobId,
+    model: transcript.model,
+    language: transcript.language ? transcript.language.code : null,
+    task: transcript.task,
+    duration: transcript.duration,
+    speakers: transcript.speakers || [],
+    segmentCount: transcriptSegments(transcript).length,
+    createdAt: transcript.createdAt,
+    updatedAt: transcript.updatedAt
+  };
+}
+
+function readPaging({ page, pageSize } = {}) {
+  const pageNumber = page === undefined || page === '' ? 1 : Number(page);
+  const size = pageSize === undefined || pageSize === '' ? DEFAULT_PAGE_SIZE : Number(pageSize);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) throw transcriptError('page must be a positive integer');
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    throw transcriptError(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return { page: pageNumber, pageSize: size };
+}
+
+/**
+ * File-backed transcript repository. Every write goes to a temporary file that is renamed over the
+ * transcript, so a crash never leaves a half-written file behind.
+ */
+function createFileRepository(dir = process.env.TRANSCRIPTS_DIR || DEFAULT_TRANSCRIPTS_DIR) {
+  // id -> { summary, owner, texts (folded segment text, for search) }
+  const index = new Map();
+  // Writes to one transcript run one after another
+  const writes = new Map();
+
+  const filePath = id => path.join(dir, `${id}.json`);
+  const isValidId = id => /^[0-9a-f-]{36}$/.test(String(id));
+
+  const indexTranscript = transcript => {
+    index.set(transcript.id, {
+      summary: summarize(transcript),
+      owner: transcript.owner || null,
+      texts: transcriptSegments(transcript).map(segment => foldText(segment.text))
+    });
+  };
+
+  const serialize = (id, fn) => {
+    const previous = writes.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    writes.set(id, next);
+    next.finally(() => { if (writes.get(id) === next) writes.delete(id); }).catch(() => {});
+    return next;
+  };
+
+  const writeTranscript = async transcript => {
+    const target = filePath(transcript.id);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(transcript));
+    await fs.rename(temporary, target);
+    indexTranscript(transcript);
+    return transcript;
+  };
+
+  const repository = {
+    // Creates the directory and loads the index; unreadable files are skipped with a warning
+    async init() {
+      await fs.mkdir(dir, { recursive: true });
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+          indexTranscript(JSON.parse(await fs.readFile(path.join(dir, name), 'utf8')));
+        } catch (error) {
+          console.warn(`⚠️  Skipping unreadable transcript ${name}: ${error.message}`);
+        }
+      }
+      console.log(`📚 Loaded ${index.size} saved transcripts from ${dir}`);
+    },
+
+    async create(fields) {
+      const now = new Date().toISOString();
+      const transcript = { ...fields, id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+      return serialize(transcript.id, () => writeTranscript(transcript));
+    },
+
+    // The full transcript, or null
+    async get(id) {
+      if (!isValidId(id) || !index.has(id)) return null;
+      try {
+        return JSON.parse(await fs.readFile(filePath(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Applies changes(transcript) -> fields to merge, and saves. Returns the updated transcript or null.
+    async update(id, changes) {
+      return serialize(id, async () => {
+        const transcript = await repository.get(id);
+        if (!transcript) return null;
+        const updated = { ...transcript, ...changes(transcript), id, createdAt: transcript.createdAt, updatedAt: new Date().toISOString() };
+        return writeTranscript(updated);
+      });
+    },
+
+    // True if the transcript existed
+    async remove(id) {
+      if (!isValidId(id) || !index.has(id)) return false;
+      return serialize(id, async () => {
+        await fs.unlink(filePath(id)).catch(error => { if (error.code !== 'ENOENT') throw error; });
+        return index.delete(id);
+      });
+    },
+
+    /**
+     * Newest first. With q, only transcripts whose segment text contains every word of q are listed,
+     * each with up to MAX_SEARCH_MATCHES matching segments as { index, offsets, text }. With owner
+     * (an API key ID, or null for transcripts made without a key), only that owner's transcripts.
+     * Returns { items, page, pageSize, total }.
+     */
+    async list({ q, page, pageSize, owner } = {}) {
+      const paging = readPaging({ page, pageSize });
+      const terms = foldText(q).split(/\s+/).filter(Boolean);
+
+      let entries = [...index.values()];
+      if (owner !== undefined) entries = entries.filter(entry => entry.owner === owner);
+      if (terms.length > 0) {
+        entries = entries.filter(entry => {
+          const fullText = entry.texts.join(' ');
+          return terms.every(term => fullText.includes(term));
+        });
+      }
+      entries.sort((a, b) => b.summary.createdAt.localeCompare(a.summary.createdAt));
+
+      const start = (paging.page - 1) * paging.pageSize;
+      const pageEntries = entries.slice(start, start + paging.pageSize);
+      const items = await Promise.all(pageEntries.map(async entry => {
+        if (terms.length === 0) return entry.summary;
+        const matchIndexes = entry.texts
+          .map((text, i) => (terms.some(term => text.includes(term)) ? i : -1))
+          .filter(i => i >= 0)
+          .slice(0, MAX_SEARCH_MATCHES);
+        const transcript = await repository.get(entry.summary.id);
+        const segments = transcript ? transcriptSegments(transcript) : [];
+        return {
+          ...entry.summary,
+          matches: matchIndexes.filter(i => segments[i]).map(i => ({
+            index: i,
+            offsets: segments[i].offsets,
+            text: segments[i].text.trim()
+          }))
+        };
+      }));
+
+      return { items, page: paging.page, pageSize: paging.pageSize, total: entries.length };
+    }
+  };
+  return repository;
+}
+
+let repository = null;
+
+// The repository the server uses (file-backed unless replaced with setTranscriptRepository)
+function getTranscriptRepository() {
+  if (!repository) repository = createFileRepository();
+  return repository;
+}
+
+function setTranscriptRepository(implementation) {
+  repository = implementation;
+}
+
+module.exports = {
+  createFileRepository,
+  getTranscriptRepository,
+  setTranscriptRepository,
+  transcriptSegments,
+  validateSegments,
+  transcriptError
+};
@@ -0,0 +1,268 @@
+// Custom vocabulary: an initial prompt and glossary terms that steer whisper's spelling, and
+// case-sensitive replacement rules applied to the segments afterwards. Vocabularies can be sent with a
+// request or saved and reused by ID; saved ones live in one JSON file (VOCABULARIES_FILE).
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const DEFAULT_VOCABULARIES_FILE = path.join(process.cwd(), 'data', 'vocabularies.json');
+// whisper.cpp keeps at most half its 448-token text context for the prompt; this stays well inside it
+const MAX_PROMPT_CHARS = 800;
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 100;
+const MAX_RULES = 500;
+const MAX_RULE_LENGTH = 200;
+const MAX_NAME_LENGTH = 100;
+
+function invalidVocabulary(message, code = 'INVALID_VOCABULARY') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Form fields arrive as strings: JSON arrays are parsed, anything else is split on commas or newlines
+function readList(value, name) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        return JSON.parse(trimmed);
+      } catch {
+        throw invalidVocabulary(`${name} is not valid JSON`);
+      }
+    }
+    return trimmed.split(/[,\n]/);
+  }
+  throw invalidVocabulary(`${name} must be a list`);
+}
+
+function parsePrompt(prompt) {
+  if (prompt === undefined || prompt === null || prompt === '') return null;
+  if (typeof prompt !== 'string') throw invalidVocabulary('prompt must be a string');
+  const text = prompt.replace(/\s+/g, ' ').trim();
+  if (text.length > MAX_PROMPT_CHARS) throw invalidVocabulary(`prompt must be at most ${MAX_PROMPT_CHARS} characters`);
+  return text || null;
+}
+
+function parseTerms(value) {
+  const terms = readList(value, 'terms').map(term => {
+    if (typeof term !== 'string') throw invalidVocabulary('terms must be strings');
+    return term.replace(/\s+/g, ' ').trim();
+  }).filter(Boolean);
+  if (terms.length > MAX_TERMS) throw invalidVocabulary(`At most ${MAX_TERMS} terms are allowed`);
+  const tooLong = terms.find(term => term.length > MAX_TERM_LENGTH);
+  if (tooLong) throw invalidVocabulary(`Term "${tooLong.slice(0, 20)}…" is longer than ${MAX_TERM_LENGTH} characters`);
+  return [...new Set(terms)];
+}
+
+/**
+ * Replacement rules as [{ find, replace, wholeWord }]. Each entry is an object, or a "find => replace"
+ * string when rules come from a form field. Matching is case-sensitive; wholeWord defaults to true.
+ */
+function parseReplacements(value) {
+  const rules = readList(value, 'replacements').map((rule, index) => {
+    let entry = rule;
+    if (typeof rule === 'string') {
+      const parts = rule.split('=>');
+      if (parts.length !== 2) throw invalidVocabulary(`Replacement ${index} must look like "find => replace"`);
+      entry = { find: parts[0].trim(), replace: parts[1].trim() };
+    }
+    if (!entry || typeof entry.find !== 'string' || !entry.find || typeof entry.replace !== 'string') {
+      throw invalidVocabulary(`Replacement ${index} needs a non-empty find and a replace string`);
+    }
+    if (entry.find.length > MAX_RULE_LENGTH || entry.replace.length > MAX_RULE_LENGTH) {
+      throw invalidVocabulary(`Replacement ${index} is longer than ${MAX_RULE_LENGTH} characters`);
+    }
+    return { find: entry.find, replace: entry.replace, wholeWord: entry.wholeWord !== false && entry.wholeWord !== 'false' };
+  });
+  if (rules.length > MAX_RULES) throw invalidVocabulary(`At most ${MAX_RULES} replacements are allowed`);
+  return rules;
+}
+
+/**
+ * Validates a vocabulary body ({ name?, prompt?, terms?, replacements? }).
+ * Returns { name, prompt, terms, replacements } with defaults filled in.
+ */
+function parseVocabulary(body = {}, { requireName = false } = {}) {
+  const { name } = body;
+  if (requireName || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      throw invalidVocabulary(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+  }
+  return {
+    name: name ? name.trim() : null,
+    prompt: parsePrompt(body.prompt),
+    terms: parseTerms(body.terms),
+    replacements: parseReplacements(body.replacements)
+  };
+}
+
+// Combines a saved vocabulary with request fields: the request's prompt wins, terms and rules add up
+function mergeVocabularies(saved, inline) {
+  if (!saved) return inline;
+  return {
+    id: saved.id,
+    prompt: inline.prompt || saved.prompt,
+    terms: [...new Set([...saved.terms, ...inline.terms])],
+    replacements: [...saved.replacements, ...inline.replacements]
+  };
+}
+
+function isEmptyVocabulary(vocabulary) {
+  return !vocabulary.prompt && vocabulary.terms.length === 0 && vocabulary.replacements.length === 0;
+}
+
+/**
+ * Initial prompt for whisper (--prompt): the prompt text followed by the glossary terms, which whisper
+ * then tends to spell the same way. Returns null when there is neither. Terms that would push the
+ * prompt past MAX_PROMPT_CHARS are left out.
+ */
+function buildWhisperPrompt({ prompt, terms }) {
+  let text = prompt || '';
+  const included = [];
+  for (const term of terms) {
+    const glossary = `Glossary: ${[...included, term].join(', ')}.`;
+    if ((text ? `${text} ${glossary}` : glossary).length > MAX_PROMPT_CHARS) break;
+    included.push(term);
+  }
+  if (included.length > 0) text = [text, `Glossary: ${included.join(', ')}.`].filter(Boolean).join(' ');
+  return text || null;
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function rulePattern(rule) {
+  const source = rule.wholeWord ? `(?<![\\p{L}\\p{N}_])${escapeRegExp(rule.find)}(?![\\p{L}\\p{N}_])` : escapeRegExp(rule.find);
+  return new RegExp(source, 'gu');
+}
+
+/**
+ * Applies replacement rules in order to each segment's text (and its word timings' text).
+ * Returns { segments, count } where count is the number of replacements made.
+ */
+function applyReplacements(segments, rules) {
+  if (!rules || rules.length === 0 || !Array.isArray(segments)) return { segments, count: 0 };
+  const patterns = rules.map(rule => ({ pattern: rulePattern(rule), replace: rule.replace }));
+  let count = 0;
+  const replaceIn = text => patterns.reduce((result, { pattern, replace }) =>
+    result.replace(pattern, () => { count++; return replace; }), text);
+
+  const replaced = segments.map(segment => {
+    if (!segment || typeof segment.text !== 'string') return segment;
+    const updated = { ...segment, text: replaceIn(segment.text) };
+    if (Array.isArray(segment.words)) {
+      // Word matches are counted with their segment's, not again
+      const before = count;
+      updated.words = segment.words.map(word => ({ ...word, text: replaceIn(word.text) }));
+      count = before;
+    }
+    return updated;
+  });
+  return { segments: replaced, count };
+}
+
+/**
+ * File-backed vocabulary repository ({ init, list, get, create, update, remove }).
+ * All vocabularies are kept in memory; every change rewrites the file through a temporary file.
+ */
+function createFileRepository(file = process.env.VOCABULARIES_FILE || DEFAULT_VOCABULARIES_FILE) {
+  const vocabularies = new Map();
+  let saving = Promise.resolve();
+
+  const save = () => {
+    saving = saving.catch(() => {}).then(async () => {
+      const temporary = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify([...vocabularies.values()], null, 2));
+      await fs.rename(temporary, file);
+    });
+    return saving;
+  };
+
+  return {
+    async init() {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      try {
+        for (const vocabulary of JSON.parse(await fs.readFile(file, 'utf8'))) vocabularies.set(vocabulary.id, vocabulary);
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`⚠️  Could not read vocabularies from ${file}: ${error.message}`);
+      }
+      console.log(`📖 Loaded ${vocabularies.size} saved vocabularies`);
+    },
+
+    // With owner (an API key ID, or null for vocabularies saved without a key), only that owner's
+    async list({ owner } = {}) {
+      return [...vocabularies.values()]
+        .filter(vocabulary => owner === undefined || (vocabulary.owner || null) === owner)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(id) {
+      return vocabularies.get(id) || null;
+    },
+
+    async create(fields) {
+      const now = new Date().toISOString();
+      const vocabulary = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+      vocabularies.set(vocabulary.id, vocabulary);
+      await save();
+      return vocabulary;
+    },
+
+    async update(id, fields) {
+      const vocabulary = vocabularies.get(id);
+      if (!vocabulary) return null;
+      const updated = { ...vocabulary, ...fields, id, updatedAt: new Date().toISOString() };
+      vocabularies.set(id, updated);
+      await save();
+      return updated;
+    },
+
+    async remove(id) {
+      if (!vocabularies.delete(id)) return false;
+      await save();
+      return true;
+    }
+  };
+}
+
+let repository = null;
+
+function getVocabularyRepository() {
+  if (!repository) repository = createFileRepository();
+  return repository;
+}
+
+function setVocabularyRepository(implementation) {
+  repository = implementation;
+}
+
+/**
+ * Vocabulary for a transcription or export request: the saved vocabulary named by vocabularyId (if any)
+ * merged with the request's prompt, terms and replacements. Returns null when there is nothing to apply.
+ * Saved vocabularies of another owner (API key ID, null without a key) are treated as not found.
+ */
+async function resolveVocabulary(body = {}, { owner = null } = {}) {
+  const inline = parseVocabulary({ prompt: body.prompt, terms: body.terms, replacements: body.replacements });
+  let saved = null;
+  if (body.vocabularyId) {
+    saved = await getVocabularyRepository().get(String(body.vocabularyId));
+    if (saved && (saved.owner || null) !== owner) saved = null;
+    if (!saved) throw invalidVocabulary(`Vocabulary "${body.vocabularyId}" not found. See GET /api/vocabularies.`);
+  }
+  const vocabulary = mergeVocabularies(saved, inline);
+  return isEmptyVocabulary(vocabulary) ? null : vocabulary;
+}
+
+module.exports = {
+  MAX_PROMPT_CHARS,
+  parseVocabulary,
+  resolveVocabulary,
+  buildWhisperPrompt,
+  applyReplacements,
+  createFileRepository,
+  getVocabularyRepository,
+  setVocabularyRepository
+};
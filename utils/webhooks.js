@@ -0,0 +1,243 @@
+// Webhook callbacks for finished transcriptions. Each delivery POSTs a JSON payload signed with
+// WEBHOOK_SECRET and is retried with exponential backoff until the receiver answers 2xx or the attempts
+// run out. Deliveries and their attempts are kept in memory for WEBHOOK_DELIVERY_TTL_MS, like jobs.
+// Callback hosts go through the same private-address checks as remote media URLs, when the URL is
+// read and on every connection, so a callback can't be pointed at internal services.
+const crypto = require('crypto');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { isBlockedAddress, publicLookup } = require('./remoteMedia');
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8);
+// Wait before the second attempt; doubles with every further attempt up to MAX_RETRY_DELAY_MS
+const RETRY_BASE_MS = Math.max(100, parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000);
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const ATTEMPT_TIMEOUT_MS = Math.max(1000, parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000);
+const DELIVERY_TTL_MS = Math.max(60 * 1000, parseInt(process.env.WEBHOOK_DELIVERY_TTL_MS, 10) || 24 * 60 * 60 * 1000);
+// Finished deliveries beyond this many are dropped, oldest first
+const MAX_DELIVERIES = 1000;
+const MAX_URL_LENGTH = 2048;
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+const deliveries = new Map();
+
+function webhookError(message, code = 'INVALID_CALLBACK') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Reads the per-request callbackUrl field. Returns null when it is not set; throws INVALID_CALLBACK for
+ * anything but an http(s) URL, a host that is a private or reserved IP address, or when webhooks are
+ * disabled because WEBHOOK_SECRET is not set. Host names are checked when they are resolved.
+ */
+function parseCallbackUrl(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!WEBHOOK_SECRET) throw webhookError('Webhooks are disabled. Set WEBHOOK_SECRET to enable callbackUrl.');
+  if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) {
+    throw webhookError(`callbackUrl must be a URL of at most ${MAX_URL_LENGTH} characters`);
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw webhookError('callbackUrl is not a valid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw webhookError('callbackUrl must be an http or https URL');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) throw webhookError(`callbackUrl host ${host} is a private or reserved address`);
+  return url.toString();
+}
+
+/**
+ * Signature header value for a body: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+ * Receivers recompute the HMAC with the shared secret and reject old timestamps to stop replays.
+ */
+function signPayload(body, timestamp = Math.floor(Date.now() / 1000), secret = WEBHOOK_SECRET) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function retryDelay(attempt) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+function pruneDeliveries() {
+  const now = Date.now();
+  const finished = [...deliveries.values()].filter(delivery => delivery.status !== DELIVERY_STATUS.PENDING);
+  for (const delivery of finished) {
+    if (now - delivery.updatedAt > DELIVERY_TTL_MS) deliveries.delete(delivery.id);
+  }
+  const excess = deliveries.size - MAX_DELIVERIES;
+  if (excess > 0) {
+    finished.sort((a, b) => a.updatedAt - b.updatedAt).slice(0, excess).forEach(delivery => deliveries.delete(delivery.id));
+  }
+}
+
+// POSTs body to url through publicLookup and resolves with the response status. Redirects are not
+// followed (they would send the signed payload somewhere else) and the response body is never read,
+// so nothing a receiver sends back ends up in the delivery log.
+function postJson(url, headers, body, signal) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal
+    }, response => {
+      resolve(response.statusCode);
+      response.destroy();
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// One POST to the receiver; returns the attempt record ({ number, at, statusCode, error, durationMs })
+async function postDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const attempt = { number: delivery.attempts.length + 1, at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: null };
+  const signal = AbortSignal.timeout(ATTEMPT_TIMEOUT_MS);
+  try {
+    attempt.statusCode = await postJson(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Voxcribe-Webhooks/1.0',
+      'X-Voxcribe-Event': delivery.event,
+      'X-Voxcribe-Delivery': delivery.id,
+      'X-Voxcribe-Signature': signPayload(body)
+    }, body, signal);
+    if (attempt.statusCode < 200 || attempt.statusCode >= 300) attempt.error = `Receiver answered ${attempt.statusCode}`;
+  } catch (error) {
+    attempt.error = signal.aborted ? `No response within ${ATTEMPT_TIMEOUT_MS}ms` : error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+}
+
+async function attemptDelivery(delivery) {
+  delivery.timer = null;
+  delivery.nextAttemptAt = null;
+  const attempt = await postDelivery(delivery);
+  delivery.attempts.push(attempt);
+  delivery.attemptsLeft--;
+  delivery.updatedAt = Date.now();
+
+  if (!attempt.error) {
+    delivery.status = DELIVERY_STATUS.DELIVERED;
+    delivery.deliveredAt = new Date().toISOString();
+    return;
+  }
+  if (delivery.attemptsLeft <= 0) {
+    delivery.status = DELIVERY_STATUS.FAILED;
+    console.warn(`⚠️  Webhook ${delivery.id} to ${delivery.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+    return;
+  }
+  scheduleAttempt(delivery, retryDelay(MAX_ATTEMPTS - delivery.attemptsLeft));
+}
+
+function scheduleAttempt(delivery, delayMs) {
+  delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+  delivery.timer = setTimeout(() => {
+    attemptDelivery(delivery).catch(error => console.error(`Webhook ${delivery.id} error:`, error.message));
+  }, delayMs);
+  // Pending retries don't keep the process alive
+  delivery.timer.unref();
+}
+
+/**
+ * Queues a delivery of { id, event, createdAt, data } to url and returns the delivery record.
+ * owner (e.g. an API key ID) limits who can see and redeliver it.
+ */
+function sendWebhook({ url, event, data, jobId = null, owner = null }) {
+  pruneDeliveries();
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  const delivery = {
+    id,
+    url,
+    event,
+    jobId,
+    owner,
+    payload: { id, event, createdAt: new Date(now).toISOString(), data },
+    status: DELIVERY_STATUS.PENDING,
+    attempts: [],
+    attemptsLeft: MAX_ATTEMPTS,
+    nextAttemptAt: null,
+    deliveredAt: null,
+    createdAt: now,
+    updatedAt: now,
+    timer: null
+  };
+  deliveries.set(id, delivery);
+  scheduleAttempt(delivery, 0);
+  return delivery;
+}
+
+function getDelivery(id) {
+  pruneDeliveries();
+  return deliveries.get(id) || null;
+}
+
+// Deliveries of one owner, newest first, optionally filtered by jobId and status
+function listDeliveries({ owner = null, jobId, status } = {}) {
+  pruneDeliveries();
+  return [...deliveries.values()]
+    .filter(delivery => delivery.owner === owner)
+    .filter(delivery => !jobId || delivery.jobId === jobId)
+    .filter(delivery => !status || delivery.status === status)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Starts a new round of attempts for a delivered or failed delivery. Returns false if it is
+ * still pending.
+ */
+function redeliver(delivery) {
+  if (delivery.status === DELIVERY_STATUS.PENDING) return false;
+  delivery.status = DELIVERY_STATUS.PENDING;
+  delivery.attemptsLeft = MAX_ATTEMPTS;
+  delivery.deliveredAt = null;
+  delivery.updatedAt = Date.now();
+  scheduleAttempt(delivery, 0);
+  return true;
+}
+
+// Public view of a delivery; the payload is only included when asked for
+function serializeDelivery(delivery, { payload = false } = {}) {
+  const view = {
+    id: delivery.id,
+    url: delivery.url,
+    event: delivery.event,
+    jobId: delivery.jobId,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt,
+    deliveredAt: delivery.deliveredAt,
+    createdAt: new Date(delivery.createdAt).toISOString(),
+    updatedAt: new Date(delivery.updatedAt).toISOString()
+  };
+  if (payload) view.payload = delivery.payload;
+  return view;
+}
+
+module.exports = {
+  DELIVERY_STATUS,
+  parseCallbackUrl,
+  signPayload,
+  sendWebhook,
+  getDelivery,
+  listDeliveries,
+  redeliver,
+  serializeDelivery
+};
@@ -2,23 +2,21 @@ const path = require('path');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const os = require('os');
-const { exec, execSync } = require('child_process');
-const https = require('https');
+const { getModelPath, isModelInstalledSync } = require('./modelRegistry');
+const { downloadFromManifest } = require('./downloader');
+const { WHISPER_VERSION } = require('../constants/downloadManifest');
+const { runProcess, runProcessChecked, commandExists, quotePowerShell } = require('./processRunner');
 
 const PROJECT_ROOT = process.cwd();
+const EXTRACT_TIMEOUT_MS = 5 * 60 * 1000;
+const BUILD_TIMEOUT_MS = 30 * 60 * 1000;
 
 function getBinDir() {
   return path.join(PROJECT_ROOT, 'bin');
 }
 
 function isBinaryInPath(binaryName) {
-  try {
-    const command = os.platform() === 'win32' ? `where ${binaryName}` : `which ${binaryName}`;
-    execSync(command, { stdio: 'ignore' });
-    return true;
-  } catch (e) {
-    return false;
-  }
+  return commandExists(binaryName);
 }
 
 function getWhisperBinaryPath() {
@@ -58,9 +56,9 @@ function getWhisperBinaryPathCandidates() {
   return [path.join(binDir, 'whisper')];
 }
 
-function getWhisperModelPath() {
-  // Switch to 'base' model (~140MB) instead of 'small' (~480MB) to avoid OOM on standard cloud instances
-  return path.join(PROJECT_ROOT, 'models', 'ggml-base.bin');
+// Model files are resolved through the registry in utils/modelRegistry.js; defaults to WHISPER_MODEL or base
+function getWhisperModelPath(modelName) {
+  return getModelPath(modelName);
 }
 
 function isWhisperInstalledSync() {
@@ -74,38 +72,8 @@ function isWhisperInstalledSync() {
   }
 }
 
-function isModelAvailableSync() {
-  try {
-    const modelPath = getWhisperModelPath();
-    fs.accessSync(modelPath, fs.constants.F_OK);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-function downloadFile(url, dest) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'application/octet-stream'
-      }
-    };
-    const request = https.get(url, options, (response) => {
-      if ([301, 302, 307, 308].includes(response.statusCode)) {
-        return downloadFile(response.headers.location, dest).then(resolve).catch(reject);
-      }
-      if (response.statusCode !== 200) {
-        return reject(new Error(`Download failed: ${response.statusCode}`));
-      }
-      const file = fs.createWriteStream(dest);
-      response.pipe(file);
-      file.on('finish', () => { file.close(() => resolve()); });
-      file.on('error', (err) => { fs.unlink(dest, () => {}); reject(err); });
-    });
-    request.on('error', (err) => { fs.unlink(dest, () => {}); reject(err); });
-  });
+function isModelAvailableSync(modelName) {
+  return isModelInstalledSync(modelName);
 }
 
 async function findFileRecursively(dir, filenamePatterns) {
@@ -127,19 +95,17 @@ async function downloadWhisperWindows() {
   const binDir = getBinDir();
   const zipPath = path.join(binDir, 'whisper.zip');
   const extractPath = path.join(binDir, 'temp_whisper_extract');
-  const whisperUrl = 'https://github.com/ggerganov/whisper.cpp/releases/download/v1.7.1/whisper-bin-x64.zip';
 
   try {
     if (!fs.existsSync(binDir)) await fsPromises.mkdir(binDir, { recursive: true });
-    console.log(`⬇️  Downloading Whisper from ${whisperUrl}...`);
-    await downloadFile(whisperUrl, zipPath);
+    await downloadFromManifest('whisper-bin-x64.zip', zipPath);
     
     if (fs.existsSync(extractPath)) await fsPromises.rm(extractPath, { recursive: true, force: true });
     
-    await new Promise((resolve, reject) => {
-      exec(`powershell.exe -NoProfile -ExecutionPolicy Bypass -Command "Expand-Archive -Path '${zipPath}' -DestinationPath '${extractPath}' -Force"`, 
-        (error) => (error ? reject(error) : resolve()));
-    });
+    await runProcessChecked('powershell.exe', [
+      '-NoProfile', '-ExecutionPolicy', 'Bypass', '-Command',
+      `Expand-Archive -LiteralPath ${quotePowerShell(zipPath)} -DestinationPath ${quotePowerShell(extractPath)} -Force`
+    ], { label: 'Extracting Whisper', timeoutMs: EXTRACT_TIMEOUT_MS });
     
     await new Promise(r => setTimeout(r, 1000));
     const binarySource = await findFileRecursively(extractPath, ['main.exe', 'whisper-cli.exe', 'whisper.exe']);
@@ -156,7 +122,10 @@ async function downloadWhisperWindows() {
         }
     }
     
-    exec(`powershell.exe -NoProfile -ExecutionPolicy Bypass -Command "Get-ChildItem -Path '${binDir}' -Recurse | Unblock-File"`, () => {});
+    runProcess('powershell.exe', [
+      '-NoProfile', '-ExecutionPolicy', 'Bypass', '-Command',
+      `Get-ChildItem -LiteralPath ${quotePowerShell(binDir)} -Recurse | Unblock-File`
+    ], { timeoutMs: EXTRACT_TIMEOUT_MS }).catch(() => {});
     console.log(`✅ Whisper installed to: ${destPath}`);
   } catch (error) {
     console.error('❌ Whisper Installation failed:', error.message);
@@ -173,32 +142,27 @@ async function downloadAndBuildWhisperUnix() {
   const binDir = getBinDir();
   const buildBase = os.tmpdir();
   const timestamp = Date.now();
-  const tarPath = path.join(buildBase, `whisper-src-${timestamp}.tar.gz`);
+  // Fixed name so an interrupted download can be resumed by the next attempt
+  const tarPath = path.join(buildBase, `whisper-src-${WHISPER_VERSION}.tar.gz`);
   const buildPath = path.join(buildBase, `whisper_build_${timestamp}`);
-  const url = 'https://github.com/ggerganov/whisper.cpp/archive/refs/tags/v1.7.1.tar.gz';
 
   try {
-     try {
-         execSync('make --version', { stdio: 'ignore' });
-         execSync('tar --version', { stdio: 'ignore' });
-     } catch (e) {
+     if (!commandExists('make') || !commandExists('tar')) {
          throw new Error('Missing "make" or "tar".');
      }
 
      if (!fs.existsSync(binDir)) await fsPromises.mkdir(binDir, { recursive: true });
-     console.log(`⬇️  Downloading Whisper source...`);
-     await downloadFile(url, tarPath);
+     await downloadFromManifest(`whisper.cpp-${WHISPER_VERSION}.tar.gz`, tarPath);
 
      if (fs.existsSync(buildPath)) await fsPromises.rm(buildPath, { recursive: true, force: true });
      await fsPromises.mkdir(buildPath, { recursive: true });
 
-     execSync(`tar -xzf "${tarPath}" -C "${buildPath}" --strip-components=1`);
-     await new Promise((resolve, reject) => {
-         exec('make', { cwd: buildPath }, (error) => {
-             if (error) reject(new Error('Build failed.'));
-             else resolve();
-         });
-     });
+     await runProcessChecked('tar', ['-xzf', tarPath, '-C', buildPath, '--strip-components=1'], { timeoutMs: EXTRACT_TIMEOUT_MS });
+     try {
+         await runProcessChecked('make', [], { label: 'Building Whisper', cwd: buildPath, timeoutMs: BUILD_TIMEOUT_MS });
+     } catch (e) {
+         throw new Error('Build failed.');
+     }
 
      const builtBinary = path.join(buildPath, 'main');
      if (!fs.existsSync(builtBinary)) throw new Error('Build completed but binary "main" not found.');
@@ -0,0 +1,142 @@
+// Decoding options a transcription request can set, each mapped to a whisper.cpp flag. Every option
+// has hard bounds here; a deployment can narrow them with WHISPER_OPTION_LIMITS and change the defaults
+// with WHISPER_OPTION_DEFAULTS (both JSON objects keyed by option name).
+const WHISPER_OPTIONS = {
+  // null = whisper's own thread count, or the CPU cores shared between workers for chunked runs
+  threads: { flag: '-t', type: 'integer', min: 1, max: 64, default: parseInt(process.env.WHISPER_THREADS, 10) || null },
+  beamSize: { flag: '-bs', type: 'integer', min: 1, max: 16, default: 5 },
+  bestOf: { flag: '-bo', type: 'integer', min: 1, max: 16, default: 5 },
+  temperature: { flag: '-tp', type: 'number', min: 0, max: 1, default: 0 },
+  // Maximum segment length in characters; 0 = no limit
+  maxLen: { flag: '-ml', type: 'integer', min: 0, max: 1000, default: 0 },
+  // With maxLen, split at word boundaries instead of tokens
+  splitOnWord: { flag: '-sow', type: 'boolean', default: false },
+  suppressNonSpeech: { flag: '-sns', type: 'boolean', default: false }
+};
+
+function invalidOptions(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_OPTIONS';
+  return err;
+}
+
+function readJsonObject(value, name) {
+  if (value === undefined || value === null || value === '') return {};
+  let input = value;
+  if (typeof value === 'string') {
+    try {
+      input = JSON.parse(value);
+    } catch {
+      throw invalidOptions(`${name} is not valid JSON`);
+    }
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw invalidOptions(`${name} must be an object`);
+  return input;
+}
+
+function readOption(name, raw, bounds, label) {
+  const option = WHISPER_OPTIONS[name];
+  if (option.type === 'boolean') {
+    if (typeof raw === 'boolean') return raw;
+    if (['true', '1', 'yes'].includes(String(raw).toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(String(raw).toLowerCase())) return false;
+    throw invalidOptions(`${label}.${name} must be true or false`);
+  }
+  if (raw === null && option.default === null) return null;
+  const number = Number(raw);
+  const [min, max] = bounds[name];
+  const valid = Number.isFinite(number) && (option.type === 'number' || Number.isInteger(number));
+  if (!valid || number < min || number > max) {
+    throw invalidOptions(`${label}.${name} must be ${option.type === 'integer' ? 'an integer' : 'a number'} between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// [min, max] per numeric option: the hard bounds, narrowed by a { name: { min, max } } limits object
+function buildBounds(limits) {
+  const bounds = {};
+  for (const [name, option] of Object.entries(WHISPER_OPTIONS)) {
+    if (option.type !== 'boolean') bounds[name] = [option.min, option.max];
+  }
+  for (const [name, limit] of Object.entries(limits)) {
+    if (!bounds[name]) throw invalidOptions(`WHISPER_OPTION_LIMITS: no numeric option "${name}"`);
+    const [min, max] = bounds[name];
+    const narrowed = [
+      limit.min === undefined ? min : Number(limit.min),
+      limit.max === undefined ? max : Number(limit.max)
+    ];
+    if (!narrowed.every(Number.isFinite) || narrowed[0] < min || narrowed[1] > max || narrowed[0] > narrowed[1]) {
+      throw invalidOptions(`WHISPER_OPTION_LIMITS.${name} must stay within ${min}-${max}`);
+    }
+    bounds[name] = narrowed;
+  }
+  return bounds;
+}
+
+function readOptions(input, bounds, label) {
+  const options = {};
+  for (const [name, raw] of Object.entries(input)) {
+    if (!WHISPER_OPTIONS[name]) {
+      throw invalidOptions(`Unknown option "${name}" in ${label}. Supported: ${Object.keys(WHISPER_OPTIONS).join(', ')}`);
+    }
+    options[name] = readOption(name, raw, bounds, label);
+  }
+  return options;
+}
+
+/**
+ * Deployment configuration: { bounds, defaults }. Invalid configuration stops the server at startup
+ * rather than being ignored, since the limits are what keep requests from overloading the machine.
+ */
+function loadConfig(env = process.env) {
+  const bounds = buildBounds(readJsonObject(env.WHISPER_OPTION_LIMITS, 'WHISPER_OPTION_LIMITS'));
+  const defaults = {};
+  for (const [name, option] of Object.entries(WHISPER_OPTIONS)) {
+    // A built-in default outside narrowed limits is moved to the nearest bound
+    defaults[name] = bounds[name] && option.default !== null
+      ? Math.min(Math.max(option.default, bounds[name][0]), bounds[name][1])
+      : option.default;
+  }
+  Object.assign(defaults, readOptions(readJsonObject(env.WHISPER_OPTION_DEFAULTS, 'WHISPER_OPTION_DEFAULTS'), bounds, 'WHISPER_OPTION_DEFAULTS'));
+  return { bounds, defaults };
+}
+
+const config = loadConfig();
+
+/**
+ * Reads the per-request options field (a JSON object, or a JSON string from a form field) and returns
+ * the effective options: every option, with the deployment defaults for those not given.
+ */
+function parseWhisperOptions(value) {
+  return { ...config.defaults, ...readOptions(readJsonObject(value, 'options'), config.bounds, 'options') };
+}
+
+// whisper.cpp arguments for effective options. threads is left out: the caller picks it per pass.
+function buildWhisperArgs(options) {
+  const args = [];
+  for (const [name, option] of Object.entries(WHISPER_OPTIONS)) {
+    const value = options[name];
+    if (name === 'threads' || value === null || value === undefined) continue;
+    if (option.type === 'boolean') {
+      if (value) args.push(option.flag);
+    } else {
+      args.push(option.flag, String(value));
+    }
+  }
+  return args;
+}
+
+// Option schema for clients: type, bounds after the deployment's limits, and default
+function describeWhisperOptions() {
+  return Object.fromEntries(Object.entries(WHISPER_OPTIONS).map(([name, option]) => {
+    const description = { type: option.type, flag: option.flag, default: config.defaults[name] };
+    if (config.bounds[name]) [description.min, description.max] = config.bounds[name];
+    return [name, description];
+  }));
+}
+
+module.exports = {
+  parseWhisperOptions,
+  buildWhisperArgs,
+  describeWhisperOptions
+};
@@ -0,0 +1,99 @@
+// Parses whisper.cpp console output as it is produced.
+// Segments are printed on stdout as "[00:00:01.000 --> 00:00:04.500]   text"
+// and --print-progress writes "whisper_print_progress_callback: progress =  42%" on stderr.
+
+const SEGMENT_LINE = /^\[(\d{2}):(\d{2}):(\d{2})[.,](\d{3}) --> (\d{2}):(\d{2}):(\d{2})[.,](\d{3})\]\s*(.*)$/;
+const PROGRESS_LINE = /progress\s*=\s*(\d{1,3})%/;
+// Printed when whisper runs with -l auto (or -dl)
+const DETECTED_LANGUAGE_LINE = /auto-detected language:\s*([a-z]{2,3})\s*\(p\s*=\s*([\d.]+)\)/;
+// Printed once per run: "system_info: n_threads = 4 / 8 | AVX = 1 | AVX2 = 1 | AVX512 = 0 | FMA = 1 | ..."
+const SYSTEM_INFO_LINE = /system_info:\s*n_threads\s*=\s*(\d+)\s*\/\s*(\d+)\s*\|(.*)$/m;
+
+function toMilliseconds(h, m, s, ms) {
+  return ((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000 + Number(ms);
+}
+
+// Same "HH:MM:SS,mmm" format whisper uses in its -oj JSON output
+function formatTimestamp(ms) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(ms % 1000, 3)}`;
+}
+
+// Returns a segment shaped like the entries of whisper's JSON "transcription" array, or null
+function parseSegmentLine(line) {
+  const match = SEGMENT_LINE.exec(line.trim());
+  if (!match) return null;
+  const from = toMilliseconds(match[1], match[2], match[3], match[4]);
+  const to = toMilliseconds(match[5], match[6], match[7], match[8]);
+  return {
+    timestamps: { from: formatTimestamp(from), to: formatTimestamp(to) },
+    offsets: { from, to },
+    text: match[9]
+  };
+}
+
+function parseProgressLine(line) {
+  const match = PROGRESS_LINE.exec(line);
+  return match ? Number(match[1]) : null;
+}
+
+// Returns { code, confidence } from whisper's console output, or null if no language was detected
+function parseDetectedLanguage(output) {
+  const match = DETECTED_LANGUAGE_LINE.exec(output || '');
+  return match ? { code: match[1], confidence: Number(match[2]) } : null;
+}
+
+/**
+ * Creates a line-buffered parser for whisper's stdout/stderr chunks.
+ * Call push(chunk) for every chunk and flush() once the process exits.
+ */
+function createWhisperOutputParser({ onSegment, onProgress } = {}) {
+  let buffer = '';
+
+  function handleLine(line) {
+    const segment = parseSegmentLine(line);
+    if (segment) {
+      if (onSegment) onSegment(segment);
+      return;
+    }
+    const percent = parseProgressLine(line);
+    if (percent !== null && onProgress) onProgress(percent);
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n|\r/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    },
+    flush() {
+      if (buffer) handleLine(buffer);
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * The features whisper was built with and found on this CPU, from its system_info line:
+ * { threads, cores, features: { AVX: true, AVX2: true, AVX512: false, ... } }, or null.
+ */
+function parseSystemInfo(output) {
+  const match = SYSTEM_INFO_LINE.exec(output || '');
+  if (!match) return null;
+  const features = {};
+  for (const [, name, value] of match[3].matchAll(/([A-Z0-9_]+)\s*=\s*(\d+)/g)) features[name] = value !== '0';
+  return { threads: parseInt(match[1], 10), cores: parseInt(match[2], 10), features };
+}
+
+module.exports = {
+  createWhisperOutputParser,
+  parseSegmentLine,
+  parseProgressLine,
+  parseDetectedLanguage,
+  parseSystemInfo,
+  formatTimestamp
+};